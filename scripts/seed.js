@@ -0,0 +1,104 @@
+// Populates a local Supabase with users, store owners, stores and ratings.
+//
+// Usage (after `supabase start` and `supabase db reset`):
+//   SUPABASE_SERVICE_ROLE_KEY=<service_role key from `supabase status`> npm run seed
+//
+// Optional: SUPABASE_URL (default http://127.0.0.1:54321), SEED_USERS, SEED_OWNERS, SEED_STORES.
+// Every seeded account uses the password below.
+import { createClient } from '@supabase/supabase-js';
+import { faker } from '@faker-js/faker';
+
+const SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:54321';
+const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const PASSWORD = 'Password@123';
+
+const counts = {
+  users: Number(process.env.SEED_USERS || 40),
+  owners: Number(process.env.SEED_OWNERS || 8),
+  stores: Number(process.env.SEED_STORES || 20),
+};
+
+if (!SERVICE_ROLE_KEY) {
+  console.error('SUPABASE_SERVICE_ROLE_KEY must be set. Run `supabase status` to find the local service_role key.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+  auth: { persistSession: false, autoRefreshToken: false },
+});
+
+// Deterministic data, so the same accounts exist after every reset
+faker.seed(20250101);
+
+// profiles.name must be 20-60 characters
+const longName = () => {
+  let name = faker.person.fullName();
+  while (name.length < 20) name = `${faker.person.firstName()} ${name}`;
+  return name.slice(0, 60);
+};
+
+const address = () => `${faker.location.streetAddress({ useFullAddress: true })}, ${faker.location.city()}`;
+
+const createAccount = async (email, role) => {
+  const { data, error } = await supabase.auth.admin.createUser({
+    email,
+    password: PASSWORD,
+    email_confirm: true,
+    user_metadata: { name: longName(), address: address() },
+  });
+  if (error) throw new Error(`Could not create ${email}: ${error.message}. Run \`supabase db reset\` first.`);
+
+  // handle_new_user always creates 'user' profiles; roles are set with the service role
+  if (role !== 'user') {
+    const { error: roleError } = await supabase.from('profiles').update({ role }).eq('id', data.user.id);
+    if (roleError) throw roleError;
+  }
+  return data.user.id;
+};
+
+const seed = async () => {
+  console.log(`Seeding ${SUPABASE_URL}`);
+
+  await createAccount('admin@example.com', 'admin');
+
+  const ownerIds = [];
+  for (let i = 1; i <= counts.owners; i++) {
+    ownerIds.push(await createAccount(`owner${i}@example.com`, 'store_owner'));
+  }
+
+  const userIds = [];
+  for (let i = 1; i <= counts.users; i++) {
+    userIds.push(await createAccount(`user${i}@example.com`, 'user'));
+  }
+
+  const { data: stores, error: storesError } = await supabase
+    .from('stores')
+    .insert(Array.from({ length: counts.stores }, (_, i) => ({
+      name: faker.company.name(),
+      email: `store${i + 1}@example.com`,
+      address: address(),
+      owner_id: ownerIds[i % ownerIds.length] || null,
+    })))
+    .select('id');
+  if (storesError) throw storesError;
+
+  const ratings = userIds.flatMap(userId =>
+    faker.helpers.arrayElements(stores, { min: 0, max: Math.min(8, stores.length) }).map(store => ({
+      user_id: userId,
+      store_id: store.id,
+      rating: faker.number.int({ min: 1, max: 5 }),
+      review: faker.datatype.boolean(0.6) ? faker.lorem.sentences({ min: 1, max: 3 }) : null,
+      created_at: faker.date.past({ years: 1 }).toISOString(),
+    }))
+  );
+  const { error: ratingsError } = await supabase.from('ratings').insert(ratings);
+  if (ratingsError) throw ratingsError;
+
+  console.log(`Created 1 admin, ${ownerIds.length} store owners, ${userIds.length} users, ${stores.length} stores and ${ratings.length} ratings.`);
+  console.log(`Sign in as admin@example.com, owner1@example.com or user1@example.com with password ${PASSWORD}`);
+};
+
+seed().catch((error) => {
+  console.error(error.message || error);
+  process.exit(1);
+});
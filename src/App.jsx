@@ -6,7 +6,14 @@ import Register from './pages/Register';
 import AdminDashboard from './pages/AdminDashboard';
 import UserDashboard from './pages/UserDashboard';
 import StoreOwnerDashboard from './pages/StoreOwnerDashboard';
+import StoreDetail from './pages/StoreDetail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import CheckEmail from './pages/CheckEmail';
 import LoadingSpinner from './components/LoadingSpinner';
+import ProtectedRoute from './components/ProtectedRoute';
+import GuestRoute from './components/GuestRoute';
+import { getDashboardPath } from './utils/routes';
 
 // This component handles all routing logic based on auth state.
 function AppRouter() {
@@ -17,42 +24,44 @@ function AppRouter() {
     return <LoadingSpinner />;
   }
 
-  // Helper to get the correct dashboard path based on user role.
-  const getDashboardPath = (role) => {
-    switch (role) {
-      case 'admin': return '/admin';
-      case 'user': return '/user';
-      case 'store_owner': return '/store-owner';
-      default: return '/login'; // Fallback in case of an unexpected role
-    }
-  };
+  const homePath = user ? getDashboardPath(user.role) : '/login';
 
   return (
     <Routes>
-      {/* 2. If a user is logged in, render the protected routes. */}
-      {user ? (
-        <>
-          {/* Role-specific dashboard routes */}
-          {user.role === 'admin' && <Route path="/admin" element={<AdminDashboard />} />}
-          {user.role === 'user' && <Route path="/user" element={<UserDashboard />} />}
-          {user.role === 'store_owner' && <Route path="/store-owner" element={<StoreOwnerDashboard />} />}
-          
-          {/* Redirect from the root path to the user's correct dashboard */}
-          <Route path="/" element={<Navigate to={getDashboardPath(user.role)} replace />} />
+      {/* 2. Signed-out pages. GuestRoute sends signed-in users back to where they were going. */}
+      <Route element={<GuestRoute />}>
+        <Route path="/login" element={<Login />} />
+        <Route path="/register" element={<Register />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+      </Route>
 
-          {/* A catch-all route to redirect any invalid URL to the user's dashboard */}
-          <Route path="*" element={<Navigate to={getDashboardPath(user.role)} replace />} />
-        </>
-      ) : (
-        <>
-          {/* 3. If no user is logged in, render the public routes. */}
-          <Route path="/login" element={<Login />} />
-          <Route path="/register" element={<Register />} />
-          
-          {/* A catch-all route to redirect any other path to the login page */}
-          <Route path="*" element={<Navigate to="/login" replace />} />
-        </>
-      )}
+      {/* Reached after registering, or when signed in with an unconfirmed email */}
+      <Route
+        path="/check-email"
+        element={user?.email_confirmed_at ? <Navigate to={homePath} replace /> : <CheckEmail />}
+      />
+
+      {/* The recovery link signs the user in, so the reset form must be reachable either way */}
+      <Route path="/reset-password" element={<ResetPassword />} />
+
+      {/* 3. Role dashboards. Other signed-in roles get the 403 page. */}
+      <Route element={<ProtectedRoute roles={['admin']} />}>
+        <Route path="/admin" element={<AdminDashboard />} />
+      </Route>
+      <Route element={<ProtectedRoute roles={['user']} />}>
+        <Route path="/user" element={<UserDashboard />} />
+      </Route>
+      <Route element={<ProtectedRoute roles={['store_owner']} />}>
+        <Route path="/store-owner" element={<StoreOwnerDashboard />} />
+      </Route>
+
+      {/* Store detail pages are shareable, so every role can open them */}
+      <Route element={<ProtectedRoute roles={['admin', 'user', 'store_owner']} />}>
+        <Route path="/stores/:id" element={<StoreDetail />} />
+      </Route>
+
+      {/* 4. The root path and any unknown URL go to the user's dashboard, or to login */}
+      <Route path="*" element={<Navigate to={homePath} replace />} />
     </Routes>
   );
 }
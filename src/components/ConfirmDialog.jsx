@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import Button from './Button';
+import { AlertTriangle } from 'lucide-react';
+
+function ConfirmDialog({ title, message, confirmLabel = 'Delete', onConfirm, onClose }) {
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleConfirm = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      await onConfirm();
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} className="bg-white rounded-lg shadow-xl max-w-md w-full p-6">
+        <div className="flex items-start">
+          <div className="p-2 bg-red-100 rounded-full">
+            <AlertTriangle className="w-5 h-5 text-red-600" />
+          </div>
+          <div className="ml-4">
+            <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+            <p className="text-sm text-gray-600 mt-1">{message}</p>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+
+        <div className="flex space-x-3 pt-6">
+          <Button type="button" variant="secondary" onClick={onClose} className="flex-1">Cancel</Button>
+          <Button type="button" variant="danger" onClick={handleConfirm} loading={loading} className="flex-1">{confirmLabel}</Button>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
+
+export default ConfirmDialog;
@@ -0,0 +1,371 @@
+import React, { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import * as service from '../services/supabaseService';
+import Button from './Button';
+import { validate, toFormErrors, newUserSchema, storeSchema } from '../utils/validation';
+import { parseCsv, unescapeCsvValue, toCsv, downloadCsv, csvFilename } from '../utils/csv';
+import { Upload, CheckCircle, AlertCircle, Download } from 'lucide-react';
+
+const MAX_IMPORT_ROWS = 1000;
+const PREVIEW_ROWS = 5;
+
+// Fields each import needs. `aliases` are matched against normalized CSV headers
+// ("Owner Email" -> "owneremail") to pre-fill the column mapping.
+const IMPORT_FIELDS = {
+  stores: [
+    { key: 'name', label: 'Store Name', aliases: ['name', 'storename'], required: true },
+    { key: 'email', label: 'Store Email', aliases: ['email', 'storeemail'], required: true },
+    { key: 'address', label: 'Address', aliases: ['address', 'storeaddress'], required: true },
+    { key: 'owner_email', label: 'Owner Email', aliases: ['owneremail', 'owner'], required: true },
+  ],
+  users: [
+    { key: 'name', label: 'Name', aliases: ['name', 'fullname'], required: true },
+    { key: 'email', label: 'Email', aliases: ['email', 'emailaddress'], required: true },
+    { key: 'address', label: 'Address', aliases: ['address'], required: true },
+    { key: 'password', label: 'Password', aliases: ['password'], required: true },
+    { key: 'role', label: 'Role', aliases: ['role'], required: false, hint: 'Blank roles default to user' },
+  ],
+};
+
+const FIELD_LABELS = {
+  general: 'Error',
+  name: 'Name',
+  email: 'Email',
+  address: 'Address',
+  owner_email: 'Owner email',
+  password: 'Password',
+  role: 'Role',
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const guessMapping = (fields, headers) => Object.fromEntries(fields.map(field => {
+  const index = headers.findIndex(header => field.aliases.includes(normalizeHeader(header)));
+  return [field.key, index >= 0 ? String(index) : ''];
+}));
+
+const TAKEN_EMAIL_MESSAGES = {
+  users: 'A user with this email already exists',
+  stores: 'A store with this email already exists',
+};
+
+const describeErrors = (errors) => Object.entries(errors)
+  .map(([field, message]) => (field === 'general' ? message : `${FIELD_LABELS[field] || field}: ${message}`))
+  .join('; ');
+
+// Same rules as the Add User and Add Store modals. Stores name their owner by email,
+// which must belong to an existing store owner.
+const validateRecord = (type, record, ownersByEmail) => {
+  if (type === 'users') {
+    return validate(newUserSchema, record);
+  }
+  const owner = ownersByEmail[record.owner_email.toLowerCase()];
+  const { owner_id: ownerError, ...errors } = validate(storeSchema, { ...record, owner_id: owner?.id });
+  if (ownerError) {
+    errors.owner_email = record.owner_email ? `No store owner with email ${record.owner_email}` : 'Owner email is required';
+  }
+  return errors;
+};
+
+// Bulk import of stores or users from a CSV file: upload, map columns, then validate
+// (dry run) or import. Rows are created one by one so one bad row does not stop the rest.
+function CsvImportModal({ type, storeOwners, onClose, onImported }) {
+  const fields = IMPORT_FIELDS[type];
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [dryRun, setDryRun] = useState(true);
+  const [results, setResults] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+
+  const ownersByEmail = useMemo(
+    () => Object.fromEntries(storeOwners.filter(owner => owner.email).map(owner => [owner.email.toLowerCase(), owner])),
+    [storeOwners]
+  );
+
+  const mappingComplete = fields.every(field => !field.required || mapping[field.key] !== '');
+
+  // Builds the record for one CSV row from the current column mapping. Passwords are taken
+  // exactly as written: spaces and a leading ' can be part of them.
+  const toRecord = (cells) => {
+    const record = Object.fromEntries(fields.map(field => {
+      const index = mapping[field.key];
+      if (index === '' || index === undefined) return [field.key, ''];
+      const cell = cells[Number(index)] || '';
+      return [field.key, field.key === 'password' ? cell : unescapeCsvValue(cell).trim()];
+    }));
+    if (type === 'users' && !record.role) record.role = 'user';
+    return record;
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError('');
+    try {
+      const [headerRow = [], ...rows] = parseCsv(await file.text());
+      // Line numbers as a spreadsheet shows them, header included, so failures are easy to find
+      const numbered = rows
+        .map((cells, i) => ({ rowNumber: i + 2, cells }))
+        .filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+      if (numbered.length === 0) {
+        setError('The file has no data rows.');
+        return;
+      }
+      if (numbered.length > MAX_IMPORT_ROWS) {
+        setError(`Please import at most ${MAX_IMPORT_ROWS} rows at a time.`);
+        return;
+      }
+      setFileName(file.name);
+      setHeaders(headerRow.map(header => header.trim()));
+      setDataRows(numbered);
+      setMapping(guessMapping(fields, headerRow));
+      setStep('map');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const run = async (isDryRun) => {
+    setError('');
+    const seenEmails = new Set();
+    const checked = dataRows.map(({ rowNumber, cells }) => {
+      const record = toRecord(cells);
+      const errors = validateRecord(type, record, ownersByEmail);
+      const email = record.email.toLowerCase();
+      if (!errors.email && seenEmails.has(email)) errors.email = 'Appears more than once in this file';
+      seenEmails.add(email);
+      return { rowNumber, cells, record, errors };
+    });
+
+    // Emails already in the database would only fail on save, so the dry run reports them too
+    setChecking(true);
+    try {
+      const candidates = checked.filter(row => !row.errors.email).map(row => row.record.email);
+      const taken = await (type === 'users' ? service.getTakenUserEmails(candidates) : service.getTakenStoreEmails(candidates));
+      checked.forEach(row => {
+        if (!row.errors.email && taken.has(row.record.email.toLowerCase())) row.errors.email = TAKEN_EMAIL_MESSAGES[type];
+      });
+    } catch (err) {
+      setError(`Could not check for existing emails: ${err.message}`);
+      return;
+    } finally {
+      setChecking(false);
+    }
+    checked.forEach(row => {
+      row.status = Object.keys(row.errors).length === 0 ? 'valid' : 'invalid';
+    });
+
+    if (!isDryRun) {
+      const toCreate = checked.filter(row => row.status === 'valid');
+      setProgress({ done: 0, total: toCreate.length });
+      for (const [i, row] of toCreate.entries()) {
+        try {
+          if (type === 'users') {
+            await service.createUserAsAdmin(row.record);
+          } else {
+            const { owner_email, ...store } = row.record;
+            await service.createStore({ ...store, owner_id: ownersByEmail[owner_email.toLowerCase()].id });
+          }
+          row.status = 'created';
+        } catch (err) {
+          row.status = 'failed';
+          row.errors = toFormErrors(err);
+        }
+        setProgress({ done: i + 1, total: toCreate.length });
+      }
+      setProgress(null);
+      if (toCreate.some(row => row.status === 'created')) onImported();
+    }
+
+    setResults({ dryRun: isDryRun, rows: checked });
+    setStep('report');
+  };
+
+  const downloadFailures = () => {
+    const failed = results.rows.filter(row => row.status === 'invalid' || row.status === 'failed');
+    // The report is saved to disk, so the password column is left out
+    const passwordIndex = mapping.password === undefined || mapping.password === '' ? -1 : Number(mapping.password);
+    const columns = [
+      { header: 'Row', value: row => row.rowNumber },
+      ...headers
+        .map((header, index) => ({ header, value: row => row.cells[index], index }))
+        .filter(column => column.index !== passwordIndex),
+      { header: 'Errors', value: row => describeErrors(row.errors) },
+    ];
+    downloadCsv(csvFilename(`${type}-import-failures`), toCsv(failed, columns));
+  };
+
+  const counts = results && results.rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+  const problemRows = results ? results.rows.filter(row => row.status === 'invalid' || row.status === 'failed') : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} className="bg-white rounded-lg shadow-xl max-w-3xl w-full p-6 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-semibold text-gray-900 mb-6">Import {type === 'users' ? 'Users' : 'Stores'} from CSV</h3>
+
+        {step === 'upload' && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              The first row must contain column headers. Expected columns: {fields.map(field => field.label).join(', ')}.
+            </p>
+            <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-8 cursor-pointer hover:border-blue-400">
+              <Upload className="w-8 h-8 text-gray-400 mb-2" />
+              <span className="text-sm font-medium text-blue-600">Choose a CSV file</span>
+              <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+            </label>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <div className="flex justify-end">
+              <Button type="button" variant="secondary" onClick={onClose}>Cancel</Button>
+            </div>
+          </div>
+        )}
+
+        {step === 'map' && (
+          <div className="space-y-6">
+            <p className="text-sm text-gray-600">{fileName}: {dataRows.length} row{dataRows.length !== 1 ? 's' : ''}. Match each field to a column.</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {fields.map(field => (
+                <label key={field.key} className="block text-sm font-medium text-gray-700">
+                  {field.label}
+                  {field.required && <span className="text-red-500 ml-1">*</span>}
+                  <select
+                    value={mapping[field.key]}
+                    onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">{field.required ? 'Select a column...' : 'Not in file'}</option>
+                    {headers.map((header, index) => <option key={index} value={String(index)}>{header || `Column ${index + 1}`}</option>)}
+                  </select>
+                  {field.hint && <span className="block text-xs text-gray-500 mt-1 font-normal">{field.hint}</span>}
+                </label>
+              ))}
+            </div>
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">Preview</p>
+              <div className="overflow-x-auto border rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                      {fields.map(field => <th key={field.key} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{field.label}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {dataRows.slice(0, PREVIEW_ROWS).map(({ rowNumber, cells }) => {
+                      const record = toRecord(cells);
+                      return (
+                        <tr key={rowNumber}>
+                          <td className="px-3 py-2 text-gray-500">{rowNumber}</td>
+                          {fields.map(field => (
+                            <td key={field.key} className="px-3 py-2 text-gray-900 max-w-[12rem] truncate">
+                              {field.key === 'password' && record.password ? '••••••••' : record[field.key]}
+                            </td>
+                          ))}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <label className="flex items-center text-sm text-gray-700">
+              <input type="checkbox" checked={dryRun} onChange={(e) => setDryRun(e.target.checked)} className="mr-2" />
+              Dry run: validate every row without creating anything
+            </label>
+
+            {progress && <p className="text-sm text-gray-600">Importing {progress.done} of {progress.total}...</p>}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="flex space-x-3">
+              <Button type="button" variant="secondary" onClick={() => setStep('upload')} disabled={checking || !!progress} className="flex-1">Back</Button>
+              <Button type="button" variant="primary" onClick={() => run(dryRun)} loading={checking || !!progress} disabled={!mappingComplete} className="flex-1">
+                {dryRun ? 'Validate Rows' : `Import ${dataRows.length} Rows`}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {step === 'report' && results && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="p-3 bg-green-50 rounded-lg">
+                <p className="text-xs text-green-700">{results.dryRun ? 'Ready to import' : 'Created'}</p>
+                <p className="text-lg font-semibold text-green-800">{results.dryRun ? counts.valid || 0 : counts.created || 0}</p>
+              </div>
+              <div className="p-3 bg-red-50 rounded-lg">
+                <p className="text-xs text-red-700">Invalid</p>
+                <p className="text-lg font-semibold text-red-800">{counts.invalid || 0}</p>
+              </div>
+              <div className="p-3 bg-yellow-50 rounded-lg">
+                <p className="text-xs text-yellow-700">Failed on save</p>
+                <p className="text-lg font-semibold text-yellow-800">{counts.failed || 0}</p>
+              </div>
+            </div>
+
+            {problemRows.length > 0 ? (
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <p className="flex items-center text-sm font-medium text-gray-700">
+                    <AlertCircle className="w-4 h-4 text-red-500 mr-1" /> Rows that {results.dryRun ? 'would fail' : 'failed'}
+                  </p>
+                  <Button type="button" variant="outline" size="sm" onClick={downloadFailures}>
+                    <Download className="w-4 h-4 mr-1 inline" /> Download report
+                  </Button>
+                </div>
+                <div className="overflow-x-auto border rounded-lg max-h-64">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Problem</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {problemRows.map(row => (
+                        <tr key={row.rowNumber}>
+                          <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                          <td className="px-3 py-2 text-gray-900">{row.record.email}</td>
+                          <td className="px-3 py-2 text-red-600">{describeErrors(row.errors)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            ) : (
+              <p className="flex items-center text-sm text-green-700">
+                <CheckCircle className="w-4 h-4 mr-1" /> Every row {results.dryRun ? 'passed validation' : 'was imported'}.
+              </p>
+            )}
+
+            {progress && <p className="text-sm text-gray-600">Importing {progress.done} of {progress.total}...</p>}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="flex space-x-3">
+              {results.dryRun ? (
+                <>
+                  <Button type="button" variant="secondary" onClick={() => setStep('map')} disabled={checking || !!progress} className="flex-1">Back to Mapping</Button>
+                  <Button type="button" variant="primary" onClick={() => run(false)} loading={checking || !!progress} disabled={!counts.valid} className="flex-1">
+                    Import {counts.valid || 0} Valid Row{counts.valid !== 1 ? 's' : ''}
+                  </Button>
+                </>
+              ) : (
+                <Button type="button" variant="primary" onClick={onClose} className="flex-1">Done</Button>
+              )}
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+}
+
+export default CsvImportModal;
@@ -1,17 +1,22 @@
 import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import Button from './Button';
 import FormInput from './FormInput';
+import { validate, passwordChangeSchema } from '../utils/validation';
 import { LogOut, User, Key, Menu, X, Store } from 'lucide-react';
 
 function DashboardLayout({ children, title }) {
   const { user, logout, updatePassword } = useAuth();
+  const navigate = useNavigate();
   const [showPasswordModal, setShowPasswordModal] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
   const handleLogout = async () => {
     await logout();
+    // Clears the "from" location ProtectedRoute saves, so the next sign-in starts at a dashboard
+    navigate('/login', { replace: true });
   };
 
   return (
@@ -127,26 +132,7 @@ function PasswordChangeModal({ onClose, onSubmit }) {
   const [loading, setLoading] = useState(false);
 
   const validateForm = () => {
-    const newErrors = {};
-
-    if (!formData.currentPassword) {
-      newErrors.currentPassword = 'Current password is required';
-    }
-
-    if (!formData.newPassword) {
-      newErrors.newPassword = 'New password is required';
-    } else if (formData.newPassword.length < 8 || formData.newPassword.length > 16) {
-      newErrors.newPassword = 'Password must be 8-16 characters long';
-    } else if (!/(?=.*[A-Z])/.test(formData.newPassword)) {
-      newErrors.newPassword = 'Password must contain at least one uppercase letter';
-    } else if (!/(?=.*[!@#$%^&*(),.?":{}|<>])/.test(formData.newPassword)) {
-      newErrors.newPassword = 'Password must contain at least one special character';
-    }
-
-    if (formData.newPassword !== formData.confirmPassword) {
-      newErrors.confirmPassword = 'Passwords do not match';
-    }
-
+    const newErrors = validate(passwordChangeSchema, formData);
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -160,6 +146,8 @@ function PasswordChangeModal({ onClose, onSubmit }) {
       const result = await onSubmit(formData.currentPassword, formData.newPassword);
       if (result.success) {
         onClose();
+      } else if (result.field) {
+        setErrors({ [result.field]: result.error });
       } else {
         setErrors({ general: result.error });
       }
@@ -0,0 +1,24 @@
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { getDashboardPath, toPath } from '../utils/routes';
+
+// Wraps the signed-out pages (login, register, ...). Once a user signs in they are
+// sent back to the page ProtectedRoute stopped them at, or to their dashboard.
+function GuestRoute({ children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (user && !user.email_confirmed_at) {
+    return <Navigate to="/check-email" replace />;
+  }
+
+  if (user) {
+    const from = location.state?.from;
+    return <Navigate to={from ? toPath(from) : getDashboardPath(user.role)} replace />;
+  }
+
+  return children ?? <Outlet />;
+}
+
+export default GuestRoute;
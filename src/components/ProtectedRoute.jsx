@@ -0,0 +1,30 @@
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import Forbidden from '../pages/Forbidden';
+
+// Guards a route (or, without children, a group of nested routes).
+// - Signed out: sends the user to /login and remembers where they were going.
+// - Email not confirmed: sends the user to /check-email.
+// - Signed in with a role not in `roles`: shows the 403 page in place.
+// Omit `roles` to allow any signed-in user.
+function ProtectedRoute({ roles, children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (!user.email_confirmed_at) {
+    return <Navigate to="/check-email" replace />;
+  }
+
+  if (roles && !roles.includes(user.role)) {
+    return <Forbidden />;
+  }
+
+  return children ?? <Outlet />;
+}
+
+export default ProtectedRoute;
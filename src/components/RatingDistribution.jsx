@@ -0,0 +1,32 @@
+import React, { useMemo } from 'react';
+import { Star } from 'lucide-react';
+
+// Renders the per-star histogram from a { 1: count, ..., 5: count } map
+function RatingDistribution({ distribution: counts, total }) {
+  const distribution = useMemo(() => {
+    return Object.entries(counts).map(([star, count]) => ({
+      star: Number(star),
+      count,
+      percentage: total > 0 ? (count / total) * 100 : 0,
+    })).sort((a,b) => b.star - a.star);
+  }, [counts, total]);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm border">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">Rating Distribution</h3>
+      <div className="space-y-3">
+        {distribution.map(({ star, count, percentage }) => (
+          <div key={star} className="flex items-center">
+            <div className="flex items-center w-12 text-sm text-gray-600">{star} <Star className="w-4 h-4 text-yellow-400 ml-1" /></div>
+            <div className="flex-1 mx-4 bg-gray-200 rounded-full h-2">
+              <div className="bg-yellow-400 h-2 rounded-full" style={{ width: `${percentage}%` }} />
+            </div>
+            <div className="w-12 text-right text-sm text-gray-600">{count}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default RatingDistribution;
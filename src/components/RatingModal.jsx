@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import Button from './Button';
+import StarRating from './StarRating';
+import { validateReview, toFormErrors, REVIEW_MAX_LENGTH } from '../utils/validation';
+
+function RatingModal({ store, currentRating, currentReview, onClose, onSubmit }) {
+  const [rating, setRating] = useState(currentRating);
+  const [review, setReview] = useState(currentReview);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const unchanged = rating === currentRating && review.trim() === currentReview;
+
+  const handleSubmit = async () => {
+    if (rating === 0) return;
+    const reviewError = validateReview(review);
+    if (reviewError) {
+      setErrors({ review: reviewError });
+      return;
+    }
+    setLoading(true);
+    try {
+      await onSubmit(rating, review);
+    } catch (error) {
+      setErrors(toFormErrors(error));
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} className="bg-white rounded-lg shadow-xl max-w-md w-full p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">{currentRating ? 'Update Rating' : 'Rate Store'}</h3>
+        <p className="text-gray-600 mb-6">{store.name}</p>
+        {(errors.general || errors.rating) && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-600">{errors.general || errors.rating}</p>
+          </div>
+        )}
+        <div className="text-center mb-6">
+          <p className="text-sm font-medium text-gray-700 mb-4">How would you rate this store?</p>
+          <StarRating rating={rating} onRatingChange={setRating} size="lg" />
+          {rating > 0 && <p className="text-sm text-gray-600 mt-2">You selected {rating} star{rating !== 1 ? 's' : ''}</p>}
+        </div>
+        <div className="space-y-1 mb-6">
+          <label htmlFor="review" className="block text-sm font-medium text-gray-700">Review (optional)</label>
+          <textarea
+            id="review"
+            rows={4}
+            value={review}
+            onChange={(e) => { setReview(e.target.value); setErrors({}); }}
+            maxLength={REVIEW_MAX_LENGTH}
+            placeholder="Tell others about your experience"
+            className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors
+              ${errors.review ? 'border-red-500 bg-red-50' : 'border-gray-300'}`}
+          />
+          <div className="flex justify-between">
+            <p className="text-sm text-red-600">{errors.review}</p>
+            <p className="text-xs text-gray-400">{review.length}/{REVIEW_MAX_LENGTH}</p>
+          </div>
+        </div>
+        <div className="flex space-x-3">
+          <Button type="button" variant="secondary" onClick={onClose} className="flex-1">Cancel</Button>
+          <Button type="button" variant="primary" onClick={handleSubmit} disabled={rating === 0 || unchanged} loading={loading} className="flex-1">
+            {currentRating ? 'Update' : 'Submit'} Rating
+          </Button>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
+
+export default RatingModal;
@@ -0,0 +1,94 @@
+import React, { useMemo } from 'react';
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 40, bottom: 28, left: 32 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+const MAX_X_LABELS = 8;
+
+// Builds an SVG path through the points, starting a new segment after each gap (null value)
+const linePath = (points) => points.reduce((path, point, i) => {
+  if (point.y === null) return path;
+  const command = i > 0 && points[i - 1].y !== null ? 'L' : 'M';
+  return `${path}${command}${point.x.toFixed(1)},${point.y.toFixed(1)}`;
+}, '');
+
+// Bars for rating volume (right axis) with the store's average rating and the
+// platform average as lines (left axis, 1-5 stars). `data` comes from getStoreRatingTrend.
+function RatingTrendChart({ data, interval }) {
+  const chart = useMemo(() => {
+    const maxCount = Math.max(1, ...data.map(d => d.totalRatings));
+    const slot = PLOT_WIDTH / Math.max(1, data.length);
+    const xAt = (i) => PADDING.left + slot * i + slot / 2;
+    const yForRating = (value) => (value === null ? null : PADDING.top + PLOT_HEIGHT * (1 - (value - 1) / 4));
+    const labelEvery = Math.ceil(data.length / MAX_X_LABELS);
+    const formatLabel = (date) => date.toLocaleDateString(undefined, interval === 'month'
+      ? { month: 'short', year: '2-digit' }
+      : { month: 'short', day: 'numeric' });
+
+    return {
+      maxCount,
+      bars: data.map((d, i) => {
+        const height = (d.totalRatings / maxCount) * PLOT_HEIGHT;
+        return {
+          ...d,
+          x: xAt(i) - Math.min(slot * 0.6, 24) / 2,
+          width: Math.min(slot * 0.6, 24),
+          y: PADDING.top + PLOT_HEIGHT - height,
+          height,
+          label: i % labelEvery === 0 ? formatLabel(d.periodStart) : null,
+          labelX: xAt(i),
+        };
+      }),
+      storePath: linePath(data.map((d, i) => ({ x: xAt(i), y: yForRating(d.averageRating) }))),
+      platformPath: linePath(data.map((d, i) => ({ x: xAt(i), y: yForRating(d.platformAverage) }))),
+      storeDots: data.map((d, i) => ({ x: xAt(i), y: yForRating(d.averageRating) })).filter(p => p.y !== null),
+      yForRating,
+    };
+  }, [data, interval]);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Rating trend chart">
+        {/* Star gridlines and left axis */}
+        {[1, 2, 3, 4, 5].map(star => (
+          <g key={star}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={chart.yForRating(star)} y2={chart.yForRating(star)} stroke="#e5e7eb" />
+            <text x={PADDING.left - 8} y={chart.yForRating(star) + 4} textAnchor="end" className="fill-gray-500 text-[10px]">{star}★</text>
+          </g>
+        ))}
+        <text x={WIDTH - PADDING.right + 8} y={PADDING.top + 4} className="fill-gray-400 text-[10px]">{chart.maxCount}</text>
+        <text x={WIDTH - PADDING.right + 8} y={PADDING.top + PLOT_HEIGHT} className="fill-gray-400 text-[10px]">0</text>
+
+        {chart.bars.map(bar => (
+          <g key={bar.periodStart.toISOString()}>
+            <rect x={bar.x} y={bar.y} width={bar.width} height={bar.height} rx="2" className="fill-blue-100" />
+            {bar.label && (
+              <text x={bar.labelX} y={HEIGHT - 8} textAnchor="middle" className="fill-gray-500 text-[10px]">{bar.label}</text>
+            )}
+            <title>
+              {`${bar.periodStart.toLocaleDateString()}: ${bar.totalRatings} rating(s)`}
+              {bar.averageRating !== null ? `, average ${bar.averageRating.toFixed(2)}` : ''}
+              {bar.platformAverage !== null ? `, platform ${bar.platformAverage.toFixed(2)}` : ''}
+            </title>
+          </g>
+        ))}
+
+        <path d={chart.platformPath} fill="none" stroke="#9ca3af" strokeWidth="2" strokeDasharray="4 4" />
+        <path d={chart.storePath} fill="none" stroke="#2563eb" strokeWidth="2" />
+        {chart.storeDots.map(dot => (
+          <circle key={dot.x} cx={dot.x} cy={dot.y} r="3" className="fill-blue-600" />
+        ))}
+      </svg>
+
+      <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+        <span className="flex items-center"><span className="w-4 h-0.5 bg-blue-600 mr-1.5" />Your average</span>
+        <span className="flex items-center"><span className="w-4 border-t-2 border-dashed border-gray-400 mr-1.5" />Platform average</span>
+        <span className="flex items-center"><span className="w-3 h-3 bg-blue-100 rounded-sm mr-1.5" />Ratings received</span>
+      </div>
+    </div>
+  );
+}
+
+export default RatingTrendChart;
@@ -1,10 +1,21 @@
 
-import React, { createContext, useContext, useState, useEffect } from "react";
+import React, { createContext, useContext, useState, useEffect, useRef } from "react";
 import { supabase } from "../supabaseClient";
-import { getProfile } from "../services/supabaseService";
+import { getProfile, verifyCurrentPassword } from "../services/supabaseService";
 
 const AuthContext = createContext();
 
+// Minutes without mouse/keyboard activity before the user is signed out. 0 disables it.
+const IDLE_TIMEOUT_MINUTES = Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES ?? 30);
+// Shared through localStorage so activity in one tab keeps the other tabs signed in too
+const LAST_ACTIVITY_KEY = "lastActivityAt";
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "scroll", "touchstart"];
+const IDLE_CHECK_INTERVAL_MS = 30 * 1000;
+
+const SESSION_EXPIRED_MESSAGE = "Your session has expired or you signed out in another window. Please sign in again.";
+const IDLE_MESSAGE = `You were signed out after ${IDLE_TIMEOUT_MINUTES} minutes of inactivity. Please sign in again.`;
+const PROFILE_ERROR_MESSAGE = "We couldn't load your profile. Please sign in again.";
+
 export function useAuth() {
   return useContext(AuthContext);
 }
@@ -12,6 +23,30 @@ export function useAuth() {
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  // True while the user is signed in through a password recovery link
+  const [passwordRecovery, setPasswordRecovery] = useState(false);
+  // Why the last session ended, when it was not the user signing out. Shown on the login page.
+  const [sessionNotice, setSessionNotice] = useState("");
+
+  // Read from the auth listener, which is registered once and would otherwise see stale state
+  const userRef = useRef(null);
+  // Set while this tab signs out on purpose, so the SIGNED_OUT event is not reported as an expiry
+  const signingOutRef = useRef(false);
+
+  useEffect(() => {
+    userRef.current = user;
+  }, [user]);
+
+  // Clearing the user makes ProtectedRoute redirect to /login, remembering the current page
+  const endSession = async (message, { signOut = false } = {}) => {
+    if (signOut) {
+      signingOutRef.current = true;
+      await supabase.auth.signOut({ scope: "local" });
+    }
+    setSessionNotice(message);
+    setPasswordRecovery(false);
+    setUser(null);
+  };
 
   useEffect(() => {
     //  fetch session safely inside useEffect
@@ -49,69 +84,230 @@ export function AuthProvider({ children }) {
 
     initAuth();
 
-    //  listen for login/logout events
-    const { data: subscription } = supabase.auth.onAuthStateChange(
-      async (_event, session) => {
-        if (session?.user) {
-          const profile = await getProfile(session.user.id);
-          setUser({ ...session.user, ...profile });
-        } else {
-          setUser(null);
+    const handleAuthEvent = async (event, session) => {
+      switch (event) {
+        // initAuth already loaded the stored session
+        case "INITIAL_SESSION":
+          return;
+
+        case "SIGNED_OUT":
+          if (signingOutRef.current) {
+            signingOutRef.current = false;
+            setUser(null);
+          } else if (userRef.current) {
+            // Not started here: the refresh token was rejected or another tab signed out
+            endSession(SESSION_EXPIRED_MESSAGE);
+          }
+          return;
+
+        // Only the tokens changed; the profile is still current
+        case "TOKEN_REFRESHED":
+          if (!session) endSession(SESSION_EXPIRED_MESSAGE);
+          return;
+
+        case "PASSWORD_RECOVERY":
+          setPasswordRecovery(true);
+          break;
+
+        default:
+          break;
+      }
+
+      if (!session?.user) {
+        setUser(null);
+        return;
+      }
+
+      try {
+        const profile = await getProfile(session.user.id);
+        if (!profile) {
+          await endSession(PROFILE_ERROR_MESSAGE, { signOut: true });
+          return;
+        }
+        setUser({ ...session.user, ...profile });
+      } catch (err) {
+        console.error("Error fetching profile:", err);
+        // Keep a profile that is already loaded; a new sign-in without one cannot continue
+        if (userRef.current?.id !== session.user.id) {
+          await endSession(PROFILE_ERROR_MESSAGE, { signOut: true });
         }
       }
-    );
+    };
+
+    //  listen for login/logout events. Supabase runs this callback while holding its auth
+    //  lock, so the handler (which calls back into Supabase) is deferred until it is released.
+    const { data: subscription } = supabase.auth.onAuthStateChange((event, session) => {
+      setTimeout(() => handleAuthEvent(event, session), 0);
+    });
 
     return () => {
       subscription.subscription.unsubscribe();
     };
   }, []);
 
+  // Sign out after IDLE_TIMEOUT_MINUTES without activity in any tab
+  useEffect(() => {
+    if (!user || IDLE_TIMEOUT_MINUTES <= 0) return;
+
+    const timeoutMs = IDLE_TIMEOUT_MINUTES * 60 * 1000;
+    let lastWrite = 0;
+
+    const recordActivity = () => {
+      const now = Date.now();
+      // Throttled: mousemove and scroll fire far more often than this needs
+      if (now - lastWrite < 5000) return;
+      lastWrite = now;
+      localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+    };
+
+    const checkIdle = () => {
+      const lastActivity = Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || Date.now();
+      if (Date.now() - lastActivity >= timeoutMs) {
+        localStorage.removeItem(LAST_ACTIVITY_KEY);
+        endSession(IDLE_MESSAGE, { signOut: true });
+      }
+    };
+
+    recordActivity();
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, recordActivity, { passive: true }));
+    // Also checked when the tab comes back, since browsers slow down timers in background tabs
+    document.addEventListener("visibilitychange", checkIdle);
+    const interval = setInterval(checkIdle, IDLE_CHECK_INTERVAL_MS);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, recordActivity));
+      document.removeEventListener("visibilitychange", checkIdle);
+      clearInterval(interval);
+    };
+  }, [user?.id]);
+
   // ---------- auth methods ----------
   const login = async (email, password) => {
     const { error } = await supabase.auth.signInWithPassword({ email, password });
-    if (error) return { success: false, error: error.message };
+    if (error) {
+      if (error.code === "email_not_confirmed") {
+        return { success: false, error: "Please confirm your email address before signing in.", unverified: true };
+      }
+      return { success: false, error: error.message };
+    }
+    setSessionNotice("");
     return { success: true };
   };
 
   const register = async ({ name, email, address, password }) => {
-    const { error } = await supabase.auth.signUp({
-      email,
+    // The form validates trimmed values, and the database checks the length of what is stored
+    const { data, error } = await supabase.auth.signUp({
+      email: email.trim(),
       password,
-      options: { data: { name, address, role: "user" } },
+      options: {
+        data: { name: name.trim(), address: address.trim() },
+        emailRedirectTo: window.location.origin,
+      },
     });
     if (error) return { success: false, error: error.message };
+    // With email confirmation on, signUp returns no session until the link is followed
+    return { success: true, needsVerification: !data.session };
+  };
+
+  const resendVerification = async (email) => {
+    const { error } = await supabase.auth.resend({
+      type: "signup",
+      email,
+      options: { emailRedirectTo: window.location.origin },
+    });
+    if (error) {
+      if (error.status === 429) {
+        return { success: false, error: "Please wait a minute before requesting another email." };
+      }
+      return { success: false, error: error.message };
+    }
     return { success: true };
   };
 
   const logout = async () => {
+    signingOutRef.current = true;
     await supabase.auth.signOut();
+    setSessionNotice("");
     setUser(null);
   };
 
-  const updatePassword = async (newPassword) => {
+  const updatePassword = async (currentPassword, newPassword) => {
+    // Re-verify the current password before allowing the change, without replacing this session
+    let verified;
+    try {
+      verified = await verifyCurrentPassword(currentPassword);
+    } catch (verifyError) {
+      if (verifyError.code === "PT429") {
+        return { success: false, error: "Too many attempts. Please wait a few minutes and try again.", field: "currentPassword" };
+      }
+      return { success: false, error: verifyError.message };
+    }
+    if (!verified) {
+      return { success: false, error: "Current password is incorrect", field: "currentPassword" };
+    }
+
     const { error } = await supabase.auth.updateUser({ password: newPassword });
-    if (error) return { success: false, error: error.message };
+    if (error) {
+      if (error.code === "same_password") {
+        return { success: false, error: "New password must be different from the current one", field: "newPassword" };
+      }
+      return { success: false, error: error.message };
+    }
+
+    // Sign out every other device; this session stays valid
+    const { error: revokeError } = await supabase.auth.signOut({ scope: "others" });
+    if (revokeError) {
+      console.error("Error revoking other sessions:", revokeError);
+      return {
+        success: false,
+        error: "Your password was changed, but other devices could not be signed out. Please sign out and back in.",
+      };
+    }
     return { success: true };
   };
 
-  const createUser = async ({ name, email, address, password, role }) => {
-    const { error } = await supabase.auth.signUp({
-      email,
-      password,
-      options: { data: { name, address, role } },
+  const requestPasswordReset = async (email) => {
+    const { error } = await supabase.auth.resetPasswordForEmail(email, {
+      redirectTo: `${window.location.origin}/reset-password`,
     });
-    if (error) return { success: false, error: error.message };
+    if (error) {
+      if (error.status === 429) {
+        return { success: false, error: "Too many requests. Please wait a few minutes and try again." };
+      }
+      return { success: false, error: error.message };
+    }
+    return { success: true };
+  };
+
+  const completePasswordReset = async (newPassword) => {
+    const { error } = await supabase.auth.updateUser({ password: newPassword });
+    if (error) {
+      if (error.code === "same_password") {
+        return { success: false, error: "New password must be different from the current one" };
+      }
+      return { success: false, error: error.message };
+    }
+
+    // The recovery link may have been intercepted, so end every session including this one
+    signingOutRef.current = true;
+    await supabase.auth.signOut({ scope: "global" });
+    setPasswordRecovery(false);
+    setUser(null);
     return { success: true };
   };
 
   const value = {
     user,
     loading,
+    passwordRecovery,
+    sessionNotice,
     login,
     register,
+    resendVerification,
     logout,
     updatePassword,
-    createUser,
+    requestPasswordReset,
+    completePasswordReset,
   };
 
   return (
@@ -0,0 +1,40 @@
+import { useEffect, useRef } from 'react';
+import { subscribeToChanges } from '../services/supabaseService';
+
+// Subscribes to Realtime changes on `tables` while the component is mounted.
+// Changes arriving within `delay` ms are batched and passed to onChange(changes) as one
+// array, so a burst of ratings causes one reload. `match(payload)` can drop changes the
+// view does not show. Pass a null channelName to stay unsubscribed.
+export function useRealtimeRefresh(channelName, tables, onChange, { match, delay = 500 } = {}) {
+  // Kept in refs so new callbacks on each render do not resubscribe
+  const onChangeRef = useRef(onChange);
+  const matchRef = useRef(match);
+  useEffect(() => {
+    onChangeRef.current = onChange;
+    matchRef.current = match;
+  });
+
+  const tableKey = tables.join(',');
+
+  useEffect(() => {
+    if (!channelName) return;
+
+    let pending = [];
+    let timer;
+    const unsubscribe = subscribeToChanges(channelName, tableKey.split(','), (payload) => {
+      if (matchRef.current && !matchRef.current(payload)) return;
+      pending.push(payload);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const changes = pending;
+        pending = [];
+        onChangeRef.current(changes);
+      }, delay);
+    });
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [channelName, tableKey, delay]);
+}
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import * as service from '../services/supabaseService';
@@ -6,45 +7,124 @@ import DashboardLayout from '../components/DashboardLayout';
 import Button from '../components/Button';
 import FormInput from '../components/FormInput';
 import StarRating from '../components/StarRating';
-import { Users, Store, Star, Plus } from 'lucide-react';
+import Pagination from '../components/Pagination';
+import ConfirmDialog from '../components/ConfirmDialog';
+import CsvImportModal from '../components/CsvImportModal';
+import { useRealtimeRefresh } from '../hooks/useRealtimeRefresh';
+import { STORE_SORT_OPTIONS } from '../utils/storeSort';
+import { validate, toFormErrors, validateModerationNote, newUserSchema, profileSchema, storeSchema, MODERATION_NOTE_MAX_LENGTH } from '../utils/validation';
+import { toCsv, downloadCsv, csvFilename } from '../utils/csv';
+import { Users, Store, Star, Plus, X, MapPin, Mail, Pencil, Trash2, Download, Upload, ShieldAlert, Flag, EyeOff } from 'lucide-react';
+
+const PAGE_SIZE = 12;
+
+// Roles are exported as stored (admin, user, store_owner) so the file can be imported again
+const USER_CSV_COLUMNS = [
+  { header: 'Name', value: u => u.name },
+  { header: 'Email', value: u => u.email },
+  { header: 'Address', value: u => u.address },
+  { header: 'Role', value: u => u.role },
+];
+
+const storeCsvColumns = (ownersById) => [
+  { header: 'Name', value: s => s.name },
+  { header: 'Email', value: s => s.email },
+  { header: 'Address', value: s => s.address },
+  { header: 'Owner Name', value: s => ownersById[s.owner_id]?.name },
+  { header: 'Owner Email', value: s => ownersById[s.owner_id]?.email },
+  { header: 'Average Rating', value: s => s.averageRating.toFixed(1) },
+  { header: 'Total Ratings', value: s => s.totalRatings },
+  ...[5, 4, 3, 2, 1].map(star => ({ header: `${star} Star`, value: s => s.ratingDistribution[star] })),
+  { header: 'Created', value: s => new Date(s.created_at) },
+];
 
 function AdminDashboard() {
-  const { user, createUser } = useAuth();
+  const { user } = useAuth();
   const [activeTab, setActiveTab] = useState('overview');
-  const [users, setUsers] = useState([]);
-  const [stores, setStores] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const [usersPage, setUsersPage] = useState({ rows: [], total: 0 });
+  const [storesPage, setStoresPage] = useState({ rows: [], total: 0 });
+  const [stats, setStats] = useState({ users: 0, stores: 0, ratings: 0 });
+  const [storeOwners, setStoreOwners] = useState([]);
   const [showAddUser, setShowAddUser] = useState(false);
   const [showAddStore, setShowAddStore] = useState(false);
-  const [filters, setFilters] = useState({
+  const [selectedUserId, setSelectedUserId] = useState(null);
+  const [editingUser, setEditingUser] = useState(null);
+  const [editingStore, setEditingStore] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [importType, setImportType] = useState(null);
+  const [userFilters, setUserFilters] = useState({
     search: '',
     role: '',
     sortBy: 'name',
-    sortOrder: 'asc'
+    sortOrder: 'asc',
+    page: 1
+  });
+  const [storeFilters, setStoreFilters] = useState({
+    search: '',
+    sortBy: 'name',
+    sortOrder: 'asc',
+    page: 1
   });
 
-  const loadData = useCallback(async () => {
-    setLoading(true);
+  const loadStats = useCallback(async () => {
     try {
-      const [usersData, storesData] = await Promise.all([
-        service.getAllUsers(),
-        service.getAllStoresWithRatings()
+      const [statsData, ownersData] = await Promise.all([
+        service.getPlatformStats(),
+        service.getStoreOwners()
       ]);
-      setUsers(usersData);
-      setStores(storesData);
+      setStats(statsData);
+      setStoreOwners(ownersData);
     } catch (error) {
-      console.error('Error loading data:', error);
+      console.error('Error loading stats:', error);
     }
-    setLoading(false);
   }, []);
 
+  const loadUsers = useCallback(async () => {
+    try {
+      setUsersPage(await service.getUsersPage({ ...userFilters, pageSize: PAGE_SIZE }));
+    } catch (error) {
+      console.error('Error loading users:', error);
+    }
+  }, [userFilters]);
+
+  const loadStores = useCallback(async () => {
+    try {
+      setStoresPage(await service.getStoresPage({ ...storeFilters, pageSize: PAGE_SIZE }));
+    } catch (error) {
+      console.error('Error loading stores:', error);
+    }
+  }, [storeFilters]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  // Debounce list queries so typing in a search box doesn't fire one request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(loadUsers, 300);
+    return () => clearTimeout(timer);
+  }, [loadUsers]);
+
   useEffect(() => {
-    loadData();
-  }, [loadData]);
+    const timer = setTimeout(loadStores, 300);
+    return () => clearTimeout(timer);
+  }, [loadStores]);
+
+  // New ratings and store changes move the stat cards and the averages in the stores grid
+  useRealtimeRefresh('admin-dashboard', ['ratings', 'stores'], () => {
+    loadStats();
+    loadStores();
+  });
+
+  // Any change other than the page itself starts over from the first page
+  const updateUserFilters = (next) => setUserFilters({ ...next, page: 1 });
+  const updateStoreFilters = (next) => setStoreFilters({ ...next, page: 1 });
 
   const handleAddUser = async (userData) => {
-    await createUser(userData);
-    await loadData();
+    await service.createUserAsAdmin(userData);
+    await Promise.all([loadUsers(), loadStats()]);
     setShowAddUser(false);
   };
 
@@ -54,59 +134,61 @@ function AdminDashboard() {
   //   setShowAddStore(false);
   // };
   const handleAddStore = async (storeData) => {
+    await service.createStore(storeData);
+    await Promise.all([loadStores(), loadStats()]);
+    setShowAddStore(false);
+  };
+
+  // Exports every row matching the current filters, not just the visible page
+  const handleExport = async (type) => {
+    setExporting(type);
+    setExportError(null);
     try {
-      const result = await service.createStore(storeData);
-      console.log('Created store:', result);
-      await loadData();
-      setShowAddStore(false);
-    } catch (err) {
-      console.error('Failed to add store:', err);
-      alert(err.message); // Or show in UI
+      if (type === 'users') {
+        const rows = await service.getAllUsersMatching(userFilters);
+        downloadCsv(csvFilename('users'), toCsv(rows, USER_CSV_COLUMNS));
+      } else {
+        const rows = await service.getAllStoresMatching(storeFilters);
+        const ownersById = Object.fromEntries(storeOwners.map(owner => [owner.id, owner]));
+        downloadCsv(csvFilename('stores'), toCsv(rows, storeCsvColumns(ownersById)));
+      }
+    } catch (error) {
+      console.error('Error exporting', type, error);
+      setExportError({ type, message: `Could not export ${type}: ${error.message}` });
     }
+    setExporting(null);
   };
 
-  const normalize = (val) => (val || '').toLowerCase();
-
-  const filteredUsers = users.filter(u => {
-    const searchLower = filters.search.toLowerCase();
-    if (filters.search && !normalize(u.name).includes(searchLower) &&
-      !normalize(u.email).includes(searchLower) &&
-      !normalize(u.address).includes(searchLower)) return false;
-    if (filters.role && u.role !== filters.role) return false;
-    return true;
-  }).sort((a, b) => {
-    const valA = (a[filters.sortBy] || '').toString().toLowerCase();
-    const valB = (b[filters.sortBy] || '').toString().toLowerCase();
-    const order = filters.sortOrder === 'asc' ? 1 : -1;
-    return valA.localeCompare(valB) * order;
-  });
+  const handleUpdateUser = async (userData) => {
+    await service.updateUserAsAdmin(editingUser.id, userData);
+    await Promise.all([loadUsers(), loadStats()]);
+    setEditingUser(null);
+  };
 
+  const handleUpdateStore = async (storeData) => {
+    await service.updateStore(editingStore.id, storeData);
+    await loadStores();
+    setEditingStore(null);
+  };
 
-  const filteredStores = stores.filter(s => {
-    const searchLower = filters.search.toLowerCase();
-    if (filters.search && !s.name.toLowerCase().includes(searchLower) &&
-      !s.email.toLowerCase().includes(searchLower) &&
-      !s.address.toLowerCase().includes(searchLower)) {
-      return false;
+  const handleConfirmDelete = async () => {
+    if (pendingDelete.type === 'user') {
+      await service.deleteUser(pendingDelete.item.id);
+      await Promise.all([loadUsers(), loadStores(), loadStats()]);
+    } else {
+      await service.deleteStore(pendingDelete.item.id);
+      await Promise.all([loadStores(), loadStats()]);
     }
-    return true;
-  }).sort((a, b) => {
-    const valA = a[filters.sortBy] || '';
-    const valB = b[filters.sortBy] || '';
-    const order = filters.sortOrder === 'asc' ? 1 : -1;
-    return valA.localeCompare(valB) * order;
-  });
-
-  const totalRatings = stores.reduce((total, store) => total + store.totalRatings, 0);
+    setPendingDelete(null);
+  };
 
   const tabs = [
     { id: 'overview', label: 'Overview', icon: Users },
     { id: 'users', label: 'Users', icon: Users },
-    { id: 'stores', label: 'Stores', icon: Store }
+    { id: 'stores', label: 'Stores', icon: Store },
+    { id: 'moderation', label: 'Moderation', icon: ShieldAlert }
   ];
 
-  const storeOwners = users.filter(u => u.role === 'store_owner');
-
   return (
     <DashboardLayout user={user} title="Admin Dashboard">
       <div className="space-y-6">
@@ -130,9 +212,9 @@ function AdminDashboard() {
 
         {activeTab === 'overview' && (
           <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="grid grid-cols-1 md:grid-cols-3 gap-6">
-            <StatCard icon={Users} title="Total Users" value={users.length} color="blue" />
-            <StatCard icon={Store} title="Total Stores" value={stores.length} color="green" />
-            <StatCard icon={Star} title="Total Ratings" value={totalRatings} color="yellow" />
+            <StatCard icon={Users} title="Total Users" value={stats.users} color="blue" />
+            <StatCard icon={Store} title="Total Stores" value={stats.stores} color="green" />
+            <StatCard icon={Star} title="Total Ratings" value={stats.ratings} color="yellow" />
           </motion.div>
         )}
 
@@ -140,11 +222,34 @@ function AdminDashboard() {
           <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-6">
             <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
               <h3 className="text-lg font-medium text-gray-900">Users Management</h3>
-              <Button onClick={() => setShowAddUser(true)} variant="primary" className="mt-2 sm:mt-0">
-                <Plus className="w-4 h-4 mr-2" /> Add User
-              </Button>
+              <div className="flex space-x-2 mt-2 sm:mt-0">
+                <Button onClick={() => handleExport('users')} variant="outline" loading={exporting === 'users'}>
+                  <Download className="w-4 h-4 mr-2" /> Export CSV
+                </Button>
+                <Button onClick={() => setImportType('users')} variant="outline">
+                  <Upload className="w-4 h-4 mr-2" /> Import CSV
+                </Button>
+                <Button onClick={() => setShowAddUser(true)} variant="primary">
+                  <Plus className="w-4 h-4 mr-2" /> Add User
+                </Button>
+              </div>
             </div>
-            <UsersTable users={filteredUsers} filters={filters} setFilters={setFilters} />
+            {exportError?.type === 'users' && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-sm text-red-600">{exportError.message}</p>
+              </div>
+            )}
+            <UsersTable
+              users={usersPage.rows}
+              filters={userFilters}
+              setFilters={updateUserFilters}
+              onSelectUser={setSelectedUserId}
+              onEdit={setEditingUser}
+              onDelete={(item) => setPendingDelete({ type: 'user', item })}
+              currentUserId={user.id}
+              total={usersPage.total}
+              onPageChange={(page) => setUserFilters({ ...userFilters, page })}
+            />
           </motion.div>
         )}
 
@@ -152,19 +257,70 @@ function AdminDashboard() {
           <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-6">
             <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
               <h3 className="text-lg font-medium text-gray-900">Stores Management</h3>
-              <Button onClick={() => setShowAddStore(true)} variant="primary" className="mt-2 sm:mt-0">
-                <Plus className="w-4 h-4 mr-2" /> Add Store
-              </Button>
-            </div>
-            <div className="bg-white p-4 rounded-lg shadow-sm border">
-              <FormInput label="Search Stores" type="text" value={filters.search} onChange={(e) => setFilters({ ...filters, search: e.target.value })} placeholder="Search by name, email, or address" />
+              <div className="flex space-x-2 mt-2 sm:mt-0">
+                <Button onClick={() => handleExport('stores')} variant="outline" loading={exporting === 'stores'}>
+                  <Download className="w-4 h-4 mr-2" /> Export CSV
+                </Button>
+                <Button onClick={() => setImportType('stores')} variant="outline">
+                  <Upload className="w-4 h-4 mr-2" /> Import CSV
+                </Button>
+                <Button onClick={() => setShowAddStore(true)} variant="primary">
+                  <Plus className="w-4 h-4 mr-2" /> Add Store
+                </Button>
+              </div>
             </div>
-            <StoresGrid stores={filteredStores} />
+            {exportError?.type === 'stores' && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-sm text-red-600">{exportError.message}</p>
+              </div>
+            )}
+            <StoresGrid
+              stores={storesPage.rows}
+              filters={storeFilters}
+              setFilters={updateStoreFilters}
+              onEdit={setEditingStore}
+              onDelete={(item) => setPendingDelete({ type: 'store', item })}
+              total={storesPage.total}
+              onPageChange={(page) => setStoreFilters({ ...storeFilters, page })}
+            />
           </motion.div>
         )}
 
+        {activeTab === 'moderation' && (
+          <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+            <ModerationPanel onModerated={() => Promise.all([loadStores(), loadStats()])} />
+          </motion.div>
+        )}
+
+        {selectedUserId && (
+          <UserDetailPanel
+            userId={selectedUserId}
+            onClose={() => setSelectedUserId(null)}
+            onModerated={() => Promise.all([loadStores(), loadStats()])}
+          />
+        )}
         {showAddUser && <AddUserModal onClose={() => setShowAddUser(false)} onSubmit={handleAddUser} />}
-        {showAddStore && <AddStoreModal onClose={() => setShowAddStore(false)} onSubmit={handleAddStore} storeOwners={storeOwners} />}
+        {showAddStore && <StoreFormModal onClose={() => setShowAddStore(false)} onSubmit={handleAddStore} storeOwners={storeOwners} />}
+        {importType && (
+          <CsvImportModal
+            type={importType}
+            storeOwners={storeOwners}
+            onClose={() => setImportType(null)}
+            onImported={() => Promise.all([importType === 'users' ? loadUsers() : loadStores(), loadStats()])}
+          />
+        )}
+        {editingUser && <EditUserModal user={editingUser} isSelf={editingUser.id === user.id} onClose={() => setEditingUser(null)} onSubmit={handleUpdateUser} />}
+        {editingStore && <StoreFormModal store={editingStore} onClose={() => setEditingStore(null)} onSubmit={handleUpdateStore} storeOwners={storeOwners} />}
+        {pendingDelete && (
+          <ConfirmDialog
+            title={pendingDelete.type === 'user' ? 'Delete User' : 'Delete Store'}
+            message={pendingDelete.type === 'user'
+              ? `Delete ${pendingDelete.item.name}? Their account and all of their ratings will be removed. Stores they own will be left without an owner.`
+              : `Delete ${pendingDelete.item.name}? The store and all of its ratings will be removed.`}
+            onConfirm={handleConfirmDelete}
+            onClose={() => setPendingDelete(null)}
+          />
+        )}
       </div>
     </DashboardLayout>
   );
@@ -184,7 +340,7 @@ const StatCard = ({ icon: Icon, title, value, color }) => (
   </div>
 );
 
-const UsersTable = ({ users, filters, setFilters }) => (
+const UsersTable = ({ users, filters, setFilters, onSelectUser, onEdit, onDelete, currentUserId, total, onPageChange }) => (
   <>
     <div className="bg-white p-4 rounded-lg shadow-sm border">
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
@@ -224,11 +380,12 @@ const UsersTable = ({ users, filters, setFilters }) => (
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Address</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
             {users.map((user) => (
-              <tr key={user.id} className="hover:bg-gray-50">
+              <tr key={user.id} onClick={() => onSelectUser(user.id)} className="hover:bg-gray-50 cursor-pointer">
                 <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{user.name}</td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{user.email}</td>
                 <td className="px-6 py-4 text-sm text-gray-500 max-w-xs truncate">{user.address}</td>
@@ -237,42 +394,457 @@ const UsersTable = ({ users, filters, setFilters }) => (
                     {user.role.replace('_', ' ')}
                   </span>
                 </td>
+                <td className="px-6 py-4 whitespace-nowrap text-right" onClick={(e) => e.stopPropagation()}>
+                  <button onClick={() => onEdit(user)} className="p-1 text-gray-400 hover:text-blue-600" title="Edit user">
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  {user.id !== currentUserId && (
+                    <button onClick={() => onDelete(user)} className="p-1 ml-2 text-gray-400 hover:text-red-600" title="Delete user">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </td>
               </tr>
             ))}
           </tbody>
         </table>
       </div>
     </div>
+    <Pagination page={filters.page} pageSize={PAGE_SIZE} total={total} onPageChange={onPageChange} />
   </>
 );
 
-const StoresGrid = ({ stores }) => (
-  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-    {stores.map((store) => (
-      <div key={store.id} className="bg-white p-6 rounded-lg shadow-sm border">
-        <h4 className="font-semibold text-gray-900 mb-2 truncate">{store.name}</h4>
-        <p className="text-sm text-gray-600 mb-1 truncate">{store.email}</p>
-        <p className="text-sm text-gray-600 mb-3 truncate">{store.address}</p>
-        <div className="flex items-center justify-between">
-          <StarRating rating={store.averageRating} readonly />
-          <span className="text-xs text-gray-500">{store.totalRatings} rating{store.totalRatings !== 1 ? 's' : ''}</span>
+const StoresGrid = ({ stores, filters, setFilters, onEdit, onDelete, total, onPageChange }) => (
+  <>
+    <div className="bg-white p-4 rounded-lg shadow-sm border">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="md:col-span-2">
+          <FormInput label="Search Stores" type="text" value={filters.search} onChange={(e) => setFilters({ ...filters, search: e.target.value })} placeholder="Search by name, email, or address" />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Sort By</label>
+          <select value={filters.sortBy} onChange={(e) => setFilters({ ...filters, sortBy: e.target.value })} className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500">
+            {STORE_SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Order</label>
+          <select value={filters.sortOrder} onChange={(e) => setFilters({ ...filters, sortOrder: e.target.value })} className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500">
+            <option value="asc">Ascending</option>
+            <option value="desc">Descending</option>
+          </select>
         </div>
       </div>
-    ))}
-  </div>
+    </div>
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+      {stores.map((store) => (
+        <div key={store.id} className="bg-white p-6 rounded-lg shadow-sm border">
+          <div className="flex items-start justify-between mb-2">
+            <h4 className="font-semibold text-gray-900 truncate">
+              <Link to={`/stores/${store.id}`} className="hover:text-blue-600">{store.name}</Link>
+            </h4>
+            <div className="flex flex-shrink-0 ml-2">
+              <button onClick={() => onEdit(store)} className="p-1 text-gray-400 hover:text-blue-600" title="Edit store">
+                <Pencil className="w-4 h-4" />
+              </button>
+              <button onClick={() => onDelete(store)} className="p-1 ml-1 text-gray-400 hover:text-red-600" title="Delete store">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <p className="text-sm text-gray-600 mb-1 truncate">{store.email}</p>
+          <p className="text-sm text-gray-600 mb-3 truncate">{store.address}</p>
+          <div className="flex items-center justify-between">
+            <StarRating rating={store.averageRating} readonly />
+            <span className="text-xs text-gray-500">{store.totalRatings} rating{store.totalRatings !== 1 ? 's' : ''}</span>
+          </div>
+        </div>
+      ))}
+    </div>
+    <Pagination page={filters.page} pageSize={PAGE_SIZE} total={total} onPageChange={onPageChange} />
+  </>
 );
 
+function UserDetailPanel({ userId, onClose, onModerated }) {
+  const [profile, setProfile] = useState(null);
+  const [ratings, setRatings] = useState([]);
+  const [ownedStores, setOwnedStores] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  useEffect(() => {
+    const loadUser = async () => {
+      setLoading(true);
+      try {
+        const profileData = await service.getProfile(userId);
+        setProfile(profileData);
+        if (profileData.role === 'user') {
+          setRatings(await service.getRatingsByUser(userId));
+        } else if (profileData.role === 'store_owner') {
+          setOwnedStores(await service.getStoresByOwner(userId));
+        }
+      } catch (error) {
+        console.error('Error loading user details:', userId, error);
+      }
+      setLoading(false);
+    };
+    loadUser();
+  }, [userId]);
+
+  // Admins can moderate any rating from here, flagged or not
+  const handleAction = async (note) => {
+    await service.moderateRating(pendingAction.ratingId, pendingAction.action, note);
+    setPendingAction(null);
+    await Promise.all([service.getRatingsByUser(userId).then(setRatings), onModerated()]);
+  };
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-end z-50" onClick={onClose}>
+        <motion.div
+          initial={{ x: '100%' }}
+          animate={{ x: 0 }}
+          transition={{ type: 'tween', duration: 0.2 }}
+          className="bg-white w-full max-w-lg h-full shadow-xl overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="flex items-center justify-between p-6 border-b border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-900">User Details</h3>
+            <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-100">
+              <X className="w-5 h-5 text-gray-500" />
+            </button>
+          </div>
+
+          {loading ? (
+            <p className="p-6 text-gray-600">Loading user...</p>
+          ) : !profile ? (
+            <p className="p-6 text-gray-600">This user could not be loaded.</p>
+          ) : (
+            <div className="p-6 space-y-6">
+              <div className="space-y-2">
+                <p className="text-xl font-semibold text-gray-900">{profile.name}</p>
+                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${profile.role === 'admin' ? 'bg-purple-100 text-purple-800' : profile.role === 'store_owner' ? 'bg-blue-100 text-blue-800' : 'bg-green-100 text-green-800'}`}>
+                  {profile.role.replace('_', ' ')}
+                </span>
+                {profile.email && (
+                  <div className="flex items-center text-sm text-gray-600">
+                    <Mail className="w-4 h-4 mr-2 flex-shrink-0" /> {profile.email}
+                  </div>
+                )}
+                <div className="flex items-start text-sm text-gray-600">
+                  <MapPin className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" /> {profile.address}
+                </div>
+              </div>
+
+              {profile.role === 'user' && (
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900 mb-3">Ratings Submitted ({ratings.length})</h4>
+                  {ratings.length > 0 ? (
+                    <div className="divide-y divide-gray-200 border rounded-lg">
+                      {ratings.map((rating) => (
+                        <div key={rating.id} className="p-4">
+                          <div className="flex items-center justify-between">
+                            <Link to={`/stores/${rating.store_id}`} className="text-sm font-medium text-gray-900 hover:text-blue-600 truncate">{rating.storeName}</Link>
+                            <div className="flex items-center space-x-2">
+                              {rating.hidden_at && (
+                                <span className="inline-flex items-center px-2 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-700">
+                                  <EyeOff className="w-3 h-3 mr-1" /> Hidden
+                                </span>
+                              )}
+                              <StarRating rating={rating.rating} readonly size="sm" />
+                            </div>
+                          </div>
+                          {rating.review && <p className="text-sm text-gray-600 mt-1 line-clamp-2">{rating.review}</p>}
+                          <div className="flex items-center justify-between mt-1">
+                            <p className="text-xs text-gray-400">{new Date(rating.created_at).toLocaleDateString()}</p>
+                            <div className="flex space-x-2">
+                              {[rating.hidden_at ? 'unhide' : 'hide', 'remove'].map(action => (
+                                <Button
+                                  key={action}
+                                  size="sm"
+                                  variant={action === 'remove' ? 'danger' : 'outline'}
+                                  onClick={() => setPendingAction({ ratingId: rating.id, action })}
+                                >
+                                  {MODERATION_ACTIONS[action].label}
+                                </Button>
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-500">This user has not rated any stores yet.</p>
+                  )}
+                </div>
+              )}
+
+              {profile.role === 'store_owner' && (
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900 mb-3">Stores Owned ({ownedStores.length})</h4>
+                  {ownedStores.length > 0 ? (
+                    <div className="divide-y divide-gray-200 border rounded-lg">
+                      {ownedStores.map((store) => (
+                        <div key={store.id} className="p-4 flex items-center justify-between">
+                          <div className="min-w-0">
+                            <Link to={`/stores/${store.id}`} className="text-sm font-medium text-gray-900 hover:text-blue-600 truncate block">{store.name}</Link>
+                            <p className="text-xs text-gray-500">{store.totalRatings} rating{store.totalRatings !== 1 ? 's' : ''}</p>
+                          </div>
+                          <StarRating rating={store.averageRating} readonly size="sm" />
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-500">This store owner has no stores assigned.</p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </motion.div>
+      </div>
+      {pendingAction && (
+        <ModerationActionModal
+          action={pendingAction.action}
+          onConfirm={handleAction}
+          onClose={() => setPendingAction(null)}
+        />
+      )}
+    </>
+  );
+}
+
+const MODERATION_ACTIONS = {
+  hide: {
+    label: 'Hide',
+    title: 'Hide Rating',
+    description: 'Only the author and admins will see the rating, and it stops counting towards the store average.',
+    variant: 'primary',
+  },
+  unhide: {
+    label: 'Unhide',
+    title: 'Unhide Rating',
+    description: 'The rating becomes public again and counts towards the store average.',
+    variant: 'primary',
+  },
+  remove: {
+    label: 'Remove',
+    title: 'Remove Rating',
+    description: 'The rating and its reply are deleted for good. A copy is kept in the action log.',
+    variant: 'danger',
+  },
+  dismiss: {
+    label: 'Dismiss',
+    title: 'Dismiss Flags',
+    description: 'The rating stays as it is and its open flags are closed.',
+    variant: 'secondary',
+  },
+};
+
+const ACTION_LOG_LABELS = { hide: 'Hidden', unhide: 'Unhidden', remove: 'Removed', dismiss: 'Flags dismissed' };
+
+function ModerationPanel({ onModerated }) {
+  const [queue, setQueue] = useState([]);
+  const [log, setLog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const loadModeration = useCallback(async () => {
+    try {
+      const [queueData, logData] = await Promise.all([service.getModerationQueue(), service.getModerationLog()]);
+      setQueue(queueData);
+      setLog(logData);
+    } catch (error) {
+      console.error('Error loading moderation data:', error);
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadModeration();
+  }, [loadModeration]);
+
+  const handleAction = async (note) => {
+    await service.moderateRating(pendingAction.ratingId, pendingAction.action, note);
+    setPendingAction(null);
+    await Promise.all([loadModeration(), onModerated()]);
+  };
+
+  if (loading) return <p className="text-sm text-gray-500">Loading moderation queue...</p>;
+
+  return (
+    <div className="space-y-8">
+      <div className="space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">Flagged Ratings ({queue.length})</h3>
+        {queue.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing to review. Ratings flagged by store owners will appear here.</p>
+        ) : (
+          queue.map(item => (
+            <div key={item.id} className="bg-white p-6 rounded-lg shadow-sm border">
+              <div className="flex items-start justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{item.storeName}</p>
+                  <p className="text-sm text-gray-500">by {item.userName} ({item.userEmail}) on {new Date(item.created_at).toLocaleDateString()}</p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  {item.hidden_at && (
+                    <span className="inline-flex items-center px-2 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-700">
+                      <EyeOff className="w-3 h-3 mr-1" /> Hidden
+                    </span>
+                  )}
+                  <StarRating rating={item.rating} readonly size="sm" />
+                </div>
+              </div>
+              {item.review && <p className="text-sm text-gray-700 mt-2 whitespace-pre-line">{item.review}</p>}
+              <ul className="mt-3 space-y-1">
+                {item.flags.map(flag => (
+                  <li key={flag.id} className="flex items-start text-sm text-orange-700">
+                    <Flag className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+                    <span>
+                      {flag.reason}
+                      <span className="text-xs text-gray-500 ml-2">{flag.flaggerName}, {new Date(flag.created_at).toLocaleDateString()}</span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <div className="flex space-x-2 mt-4">
+                {['hide', 'remove', 'dismiss'].map(action => (
+                  <Button
+                    key={action}
+                    size="sm"
+                    variant={MODERATION_ACTIONS[action].variant}
+                    onClick={() => setPendingAction({ ratingId: item.id, action })}
+                    disabled={action === 'hide' && Boolean(item.hidden_at)}
+                  >
+                    {MODERATION_ACTIONS[action].label}
+                  </Button>
+                ))}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+        <h3 className="text-lg font-medium text-gray-900 p-6 pb-4">Action Log</h3>
+        {log.length === 0 ? (
+          <p className="text-sm text-gray-500 px-6 pb-6">No moderation actions yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rating</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reasons</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {log.map(entry => (
+                  <tr key={entry.id} className="align-top">
+                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">{new Date(entry.created_at).toLocaleString()}</td>
+                    <td className="px-6 py-4 text-sm">
+                      <p className="font-medium text-gray-900">{ACTION_LOG_LABELS[entry.action]}</p>
+                      <p className="text-xs text-gray-500">by {entry.adminName || 'deleted admin'}</p>
+                    </td>
+                    <td className="px-6 py-4 text-sm max-w-xs">
+                      <p className="text-gray-900">{entry.storeName || 'Deleted store'}: {entry.rating}★ by {entry.authorName || 'deleted user'}</p>
+                      {entry.review && <p className="text-xs text-gray-500 truncate" title={entry.review}>{entry.review}</p>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600 max-w-xs">
+                      {entry.reason && <p>Note: {entry.reason}</p>}
+                      {entry.flag_reasons.map((reason, i) => <p key={i} className="text-xs text-orange-700">Flag: {reason}</p>)}
+                    </td>
+                    <td className="px-6 py-4 text-right">
+                      {entry.action === 'hide' && entry.ratingHidden && (
+                        <Button size="sm" variant="outline" onClick={() => setPendingAction({ ratingId: entry.rating_id, action: 'unhide' })}>
+                          Unhide
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {pendingAction && (
+        <ModerationActionModal
+          action={pendingAction.action}
+          onConfirm={handleAction}
+          onClose={() => setPendingAction(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+// Confirms a moderation action and takes an optional note for the action log
+function ModerationActionModal({ action, onConfirm, onClose }) {
+  const { title, description, label, variant } = MODERATION_ACTIONS[action];
+  const [note, setNote] = useState('');
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const noteError = validateModerationNote(note);
+    if (noteError) {
+      setErrors({ reason: noteError });
+      return;
+    }
+    setLoading(true);
+    try {
+      await onConfirm(note);
+    } catch (error) {
+      setErrors(toFormErrors(error));
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} className="bg-white rounded-lg shadow-xl max-w-md w-full p-6">
+        <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+        <p className="text-sm text-gray-600 mt-1 mb-4">{description}</p>
+        {errors.general && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-600">{errors.general}</p>
+          </div>
+        )}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Note for the action log (optional)</label>
+            <textarea
+              rows={3}
+              value={note}
+              onChange={(e) => { setNote(e.target.value); setErrors({}); }}
+              maxLength={MODERATION_NOTE_MAX_LENGTH}
+              className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${errors.reason ? 'border-red-500' : 'border-gray-300'}`}
+            />
+            {errors.reason && <p className="text-sm text-red-600 mt-1">{errors.reason}</p>}
+          </div>
+          <div className="flex space-x-3">
+            <Button type="button" variant="secondary" onClick={onClose} className="flex-1">Cancel</Button>
+            <Button type="submit" variant={variant === 'secondary' ? 'primary' : variant} loading={loading} className="flex-1">{label}</Button>
+          </div>
+        </form>
+      </motion.div>
+    </div>
+  );
+}
+
 function AddUserModal({ onClose, onSubmit }) {
   const [formData, setFormData] = useState({ name: '', email: '', password: '', address: '', role: 'user' });
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
 
   const validateForm = () => {
-    const newErrors = {};
-    if (!formData.name.trim() || formData.name.length < 20 || formData.name.length > 60) newErrors.name = 'Name must be 20-60 characters';
-    if (!formData.email.trim() || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) newErrors.email = 'Valid email is required';
-    if (!formData.address.trim() || formData.address.length > 400) newErrors.address = 'Address is required (max 400 characters)';
-    if (!formData.password || formData.password.length < 8 || formData.password.length > 16 || !/(?=.*[A-Z])/.test(formData.password) || !/(?=.*[!@#$%^&*(),.?":{}|<>])/.test(formData.password)) newErrors.password = 'Password must be 8-16 chars with uppercase and special character';
+    const newErrors = validate(newUserSchema, formData);
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -284,7 +856,7 @@ function AddUserModal({ onClose, onSubmit }) {
     try {
       await onSubmit(formData);
     } catch (error) {
-      setErrors({ general: error.message });
+      setErrors(toFormErrors(error));
     }
     setLoading(false);
   };
@@ -293,6 +865,11 @@ function AddUserModal({ onClose, onSubmit }) {
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
       <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} className="bg-white rounded-lg shadow-xl max-w-md w-full p-6">
         <h3 className="text-lg font-semibold text-gray-900 mb-6">Add New User</h3>
+        {errors.general && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-600">{errors.general}</p>
+          </div>
+        )}
         <form onSubmit={handleSubmit} className="space-y-4">
           <FormInput label="Name" type="text" value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} error={errors.name} required />
           <FormInput label="Email" type="email" value={formData.email} onChange={(e) => setFormData({ ...formData, email: e.target.value })} error={errors.email} required />
@@ -316,17 +893,13 @@ function AddUserModal({ onClose, onSubmit }) {
   );
 }
 
-function AddStoreModal({ onClose, onSubmit, storeOwners }) {
-  const [formData, setFormData] = useState({ name: '', email: '', address: '', owner_id: '' });
+function EditUserModal({ user, isSelf, onClose, onSubmit }) {
+  const [formData, setFormData] = useState({ name: user.name, address: user.address, role: user.role });
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
 
   const validateForm = () => {
-    const newErrors = {};
-    if (!formData.name.trim()) newErrors.name = 'Store name is required';
-    if (!formData.email.trim() || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) newErrors.email = 'Valid email is required';
-    if (!formData.address.trim()) newErrors.address = 'Address is required';
-    if (!formData.owner_id) newErrors.owner_id = 'You must assign an owner';
+    const newErrors = validate(profileSchema, formData);
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -338,7 +911,7 @@ function AddStoreModal({ onClose, onSubmit, storeOwners }) {
     try {
       await onSubmit(formData);
     } catch (error) {
-      setErrors({ general: error.message });
+      setErrors(toFormErrors(error));
     }
     setLoading(false);
   };
@@ -346,7 +919,73 @@ function AddStoreModal({ onClose, onSubmit, storeOwners }) {
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
       <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} className="bg-white rounded-lg shadow-xl max-w-md w-full p-6">
-        <h3 className="text-lg font-semibold text-gray-900 mb-6">Add New Store</h3>
+        <h3 className="text-lg font-semibold text-gray-900 mb-6">Edit User</h3>
+        {errors.general && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-600">{errors.general}</p>
+          </div>
+        )}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <FormInput label="Name" type="text" value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} error={errors.name} required />
+          {user.email && <FormInput label="Email" type="email" value={user.email} disabled />}
+          <FormInput label="Address" type="text" value={formData.address} onChange={(e) => setFormData({ ...formData, address: e.target.value })} error={errors.address} required />
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+            <select value={formData.role} disabled={isSelf} onChange={(e) => setFormData({ ...formData, role: e.target.value })} className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100">
+              <option value="user">User</option>
+              <option value="admin">Admin</option>
+              <option value="store_owner">Store Owner</option>
+            </select>
+            {isSelf && <p className="text-sm text-gray-500 mt-1">You cannot change your own role.</p>}
+          </div>
+          <div className="flex space-x-3 pt-4">
+            <Button type="button" variant="secondary" onClick={onClose} className="flex-1">Cancel</Button>
+            <Button type="submit" variant="primary" loading={loading} className="flex-1">Save Changes</Button>
+          </div>
+        </form>
+      </motion.div>
+    </div>
+  );
+}
+
+// Used for both adding a store and, when `store` is passed, editing one
+function StoreFormModal({ store, onClose, onSubmit, storeOwners }) {
+  const [formData, setFormData] = useState({
+    name: store?.name || '',
+    email: store?.email || '',
+    address: store?.address || '',
+    owner_id: store?.owner_id || ''
+  });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const validateForm = () => {
+    const newErrors = validate(storeSchema, formData);
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+    setLoading(true);
+    try {
+      await onSubmit(formData);
+    } catch (error) {
+      setErrors(toFormErrors(error));
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} className="bg-white rounded-lg shadow-xl max-w-md w-full p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-6">{store ? 'Edit Store' : 'Add New Store'}</h3>
+        {errors.general && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-600">{errors.general}</p>
+          </div>
+        )}
         <form onSubmit={handleSubmit} className="space-y-4">
           <FormInput label="Store Name" type="text" value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} error={errors.name} required />
           <FormInput label="Email" type="email" value={formData.email} onChange={(e) => setFormData({ ...formData, email: e.target.value })} error={errors.email} required />
@@ -371,7 +1010,7 @@ function AddStoreModal({ onClose, onSubmit, storeOwners }) {
           </div>
           <div className="flex space-x-3 pt-4">
             <Button type="button" variant="secondary" onClick={onClose} className="flex-1">Cancel</Button>
-            <Button type="submit" variant="primary" loading={loading} disabled={storeOwners.length === 0} className="flex-1">Add Store</Button>
+            <Button type="submit" variant="primary" loading={loading} disabled={storeOwners.length === 0} className="flex-1">{store ? 'Save Changes' : 'Add Store'}</Button>
           </div>
         </form>
       </motion.div>
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+import Button from '../components/Button';
+import { MailCheck } from 'lucide-react';
+
+const RESEND_COOLDOWN_SECONDS = 60;
+
+// Shown after registration, and to signed-in accounts whose email is not confirmed yet
+function CheckEmail() {
+  const { user, resendVerification, logout } = useAuth();
+  const location = useLocation();
+  const email = user?.email || location.state?.email;
+
+  const [cooldown, setCooldown] = useState(0);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timer = setTimeout(() => setCooldown(cooldown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  const handleResend = async () => {
+    setLoading(true);
+    setError('');
+    setMessage('');
+
+    const result = await resendVerification(email);
+    if (result.success) {
+      setMessage('A new confirmation email has been sent.');
+      setCooldown(RESEND_COOLDOWN_SECONDS);
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-8"
+      >
+        <div className="text-center">
+          <div className="flex justify-center">
+            <div className="bg-blue-600 p-3 rounded-full">
+              <MailCheck className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Check Your Email
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Confirm your address to start rating stores
+          </p>
+        </div>
+
+        <div className="bg-white py-8 px-6 shadow-xl rounded-lg space-y-4">
+          <p className="text-sm text-gray-700 text-center">
+            {email
+              ? <>We sent a confirmation link to <span className="font-medium">{email}</span>. Follow it to activate your account.</>
+              : 'We sent a confirmation link to your email address. Follow it to activate your account.'}
+          </p>
+
+          {message && (
+            <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
+              <p className="text-sm text-green-700">{message}</p>
+            </div>
+          )}
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-600">{error}</p>
+            </div>
+          )}
+
+          {email && (
+            <Button
+              variant="outline"
+              onClick={handleResend}
+              loading={loading}
+              disabled={cooldown > 0}
+              className="w-full"
+            >
+              {cooldown > 0 ? `Resend available in ${cooldown}s` : 'Resend Confirmation Email'}
+            </Button>
+          )}
+
+          <div className="text-center">
+            {user ? (
+              <button onClick={logout} className="text-sm text-blue-600 hover:text-blue-500 font-medium">
+                Sign out
+              </button>
+            ) : (
+              <Link to="/login" className="text-sm text-blue-600 hover:text-blue-500 font-medium">
+                Back to sign in
+              </Link>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
+
+export default CheckEmail;
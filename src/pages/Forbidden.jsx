@@ -0,0 +1,48 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+import { getDashboardPath } from '../utils/routes';
+import { ShieldAlert } from 'lucide-react';
+
+// Shown by ProtectedRoute when a signed-in user opens a page their role cannot use
+function Forbidden() {
+  const { user } = useAuth();
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-8"
+      >
+        <div className="text-center">
+          <div className="flex justify-center">
+            <div className="bg-red-600 p-3 rounded-full">
+              <ShieldAlert className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <p className="mt-6 text-sm font-semibold text-red-600">403</p>
+          <h2 className="mt-1 text-3xl font-bold text-gray-900">
+            Access Denied
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Your account does not have permission to view this page
+          </p>
+        </div>
+
+        <div className="bg-white py-8 px-6 shadow-xl rounded-lg text-center">
+          <Link
+            to={getDashboardPath(user?.role)}
+            className="text-sm text-blue-600 hover:text-blue-500 font-medium"
+          >
+            Go to your dashboard
+          </Link>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
+
+export default Forbidden;
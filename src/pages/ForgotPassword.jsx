@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+import FormInput from '../components/FormInput';
+import Button from '../components/Button';
+import { validateEmail } from '../utils/validation';
+import { Store, MailCheck } from 'lucide-react';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const { requestPasswordReset } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const emailError = validateEmail(email);
+    if (emailError) {
+      setError(emailError);
+      return;
+    }
+    setLoading(true);
+    setError('');
+
+    const result = await requestPasswordReset(email);
+    if (result.success) {
+      // Shown whether or not the account exists, so emails cannot be enumerated
+      setSent(true);
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-8"
+      >
+        <div className="text-center">
+          <div className="flex justify-center">
+            <div className="bg-blue-600 p-3 rounded-full">
+              <Store className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Forgot Password
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            We'll email you a link to reset it
+          </p>
+        </div>
+
+        <div className="bg-white py-8 px-6 shadow-xl rounded-lg">
+          {sent ? (
+            <div className="text-center space-y-3">
+              <MailCheck className="mx-auto w-10 h-10 text-green-600" />
+              <p className="text-sm text-gray-700">
+                If an account exists for <span className="font-medium">{email}</span>, a password reset link is on its way.
+              </p>
+              <p className="text-xs text-gray-500">The link can only be used once and expires after a short time.</p>
+            </div>
+          ) : (
+            <>
+              {error && (
+                <motion.div
+                  initial={{ opacity: 0, x: -20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg"
+                >
+                  <p className="text-sm text-red-600">{error}</p>
+                </motion.div>
+              )}
+
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <FormInput
+                  label="Email Address"
+                  type="email"
+                  name="email"
+                  value={email}
+                  onChange={(e) => { setEmail(e.target.value); setError(''); }}
+                  placeholder="Enter your email"
+                  autoComplete="email"
+                  required
+                />
+
+                <Button
+                  type="submit"
+                  variant="primary"
+                  size="lg"
+                  loading={loading}
+                  className="w-full"
+                >
+                  Send Reset Link
+                </Button>
+              </form>
+            </>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link to="/login" className="text-sm text-blue-600 hover:text-blue-500 font-medium">
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import FormInput from '../components/FormInput';
@@ -14,7 +14,10 @@ function Login() {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   
-  const { login } = useAuth();
+  const { login, sessionNotice } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const notice = location.state?.message;
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -31,11 +34,12 @@ function Login() {
     setError('');
 
     const result = await login(formData.email, formData.password);
-    if (!result.success) {
+    setLoading(false);
+    if (result.unverified) {
+      navigate('/check-email', { state: { email: formData.email } });
+    } else if (!result.success) {
       setError(result.error);
     }
-    
-    setLoading(false);
   };
 
   return (
@@ -61,6 +65,19 @@ function Login() {
         </div>
 
         <div className="bg-white py-8 px-6 shadow-xl rounded-lg">
+          {notice && !error && (
+            <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg">
+              <p className="text-sm text-green-700">{notice}</p>
+            </div>
+          )}
+
+          {/* Expired or idle-timed-out sessions are a warning, not a success */}
+          {!notice && sessionNotice && !error && (
+            <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <p className="text-sm text-yellow-800">{sessionNotice}</p>
+            </div>
+          )}
+
           {error && (
             <motion.div
               initial={{ opacity: 0, x: -20 }}
@@ -94,6 +111,12 @@ function Login() {
               required
             />
 
+            <div className="text-right -mt-4">
+              <Link to="/forgot-password" className="text-sm text-blue-600 hover:text-blue-500 font-medium">
+                Forgot password?
+              </Link>
+            </div>
+
             <Button
               type="submit"
               variant="primary"
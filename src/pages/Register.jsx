@@ -1,9 +1,10 @@
 import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import FormInput from '../components/FormInput';
 import Button from '../components/Button';
+import { validate, registerSchema } from '../utils/validation';
 import { Store } from 'lucide-react';
 
 function Register() {
@@ -17,44 +18,10 @@ function Register() {
   const [loading, setLoading] = useState(false);
   
   const { register } = useAuth();
+  const navigate = useNavigate();
 
   const validateForm = () => {
-    const newErrors = {};
-
-    // Name validation
-    if (!formData.name.trim()) {
-      newErrors.name = 'Name is required';
-    } else if (formData.name.length < 20) {
-      newErrors.name = 'Name must be at least 20 characters';
-    } else if (formData.name.length > 60) {
-      newErrors.name = 'Name must be maximum 60 characters';
-    }
-
-    // Email validation
-    if (!formData.email.trim()) {
-      newErrors.email = 'Email is required';
-    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
-      newErrors.email = 'Please enter a valid email address';
-    }
-
-    // Address validation
-    if (!formData.address.trim()) {
-      newErrors.address = 'Address is required';
-    } else if (formData.address.length > 400) {
-      newErrors.address = 'Address must be maximum 400 characters';
-    }
-
-    // Password validation
-    if (!formData.password) {
-      newErrors.password = 'Password is required';
-    } else if (formData.password.length < 8 || formData.password.length > 16) {
-      newErrors.password = 'Password must be 8-16 characters long';
-    } else if (!/(?=.*[A-Z])/.test(formData.password)) {
-      newErrors.password = 'Password must contain at least one uppercase letter';
-    } else if (!/(?=.*[!@#$%^&*(),.?":{}|<>])/.test(formData.password)) {
-      newErrors.password = 'Password must contain at least one special character';
-    }
-
+    const newErrors = validate(registerSchema, formData);
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -85,11 +52,12 @@ function Register() {
     setLoading(true);
 
     const result = await register(formData);
+    setLoading(false);
     if (!result.success) {
       setErrors({ general: result.error });
+    } else if (result.needsVerification) {
+      navigate('/check-email', { state: { email: formData.email } });
     }
-    
-    setLoading(false);
   };
 
   return (
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+import FormInput from '../components/FormInput';
+import Button from '../components/Button';
+import { validate, passwordResetSchema } from '../utils/validation';
+import { Store } from 'lucide-react';
+
+// Landing page for the recovery email link. Supabase signs the user in from the
+// token in the URL and AuthContext flags the session as a password recovery.
+function ResetPassword() {
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const { passwordRecovery, completePasswordReset } = useAuth();
+  const navigate = useNavigate();
+
+  const validateForm = () => {
+    const newErrors = validate(passwordResetSchema, formData);
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    setLoading(true);
+    const result = await completePasswordReset(formData.password);
+    setLoading(false);
+
+    if (result.success) {
+      navigate('/login', { replace: true, state: { message: 'Your password has been reset. Please sign in with your new password.' } });
+    } else {
+      setErrors({ general: result.error });
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-8"
+      >
+        <div className="text-center">
+          <div className="flex justify-center">
+            <div className="bg-blue-600 p-3 rounded-full">
+              <Store className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Reset Password
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Choose a new password for your account
+          </p>
+        </div>
+
+        <div className="bg-white py-8 px-6 shadow-xl rounded-lg">
+          {!passwordRecovery ? (
+            <div className="text-center space-y-4">
+              <p className="text-sm text-gray-700">This password reset link is invalid or has expired.</p>
+              <Link to="/forgot-password" className="text-sm text-blue-600 hover:text-blue-500 font-medium">
+                Request a new link
+              </Link>
+            </div>
+          ) : (
+            <>
+              {errors.general && (
+                <motion.div
+                  initial={{ opacity: 0, x: -20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg"
+                >
+                  <p className="text-sm text-red-600">{errors.general}</p>
+                </motion.div>
+              )}
+
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <FormInput
+                  label="New Password"
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  placeholder="8-16 chars, 1 uppercase, 1 special char"
+                  error={errors.password}
+                  autoComplete="new-password"
+                  minLength={8}
+                  maxLength={16}
+                  required
+                />
+
+                <FormInput
+                  label="Confirm New Password"
+                  type="password"
+                  name="confirmPassword"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  error={errors.confirmPassword}
+                  autoComplete="new-password"
+                  required
+                />
+
+                <Button
+                  type="submit"
+                  variant="primary"
+                  size="lg"
+                  loading={loading}
+                  className="w-full"
+                >
+                  Reset Password
+                </Button>
+              </form>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+}
+
+export default ResetPassword;
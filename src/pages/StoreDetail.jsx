@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+import * as service from '../services/supabaseService';
+import DashboardLayout from '../components/DashboardLayout';
+import Button from '../components/Button';
+import StarRating from '../components/StarRating';
+import RatingDistribution from '../components/RatingDistribution';
+import RatingModal from '../components/RatingModal';
+import { ArrowLeft, MapPin, Mail, Store } from 'lucide-react';
+
+function StoreDetail() {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const [store, setStore] = useState(null);
+  const [recentRatings, setRecentRatings] = useState([]);
+  const [userRating, setUserRating] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [ratingModalOpen, setRatingModalOpen] = useState(false);
+
+  const storeId = Number(id);
+  const canRate = user.role === 'user';
+
+  const loadData = useCallback(async () => {
+    if (!Number.isInteger(storeId)) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    setLoadError('');
+    try {
+      const [storeData, ratings, ownRating] = await Promise.all([
+        service.getStoreWithRatings(storeId),
+        service.getRecentStoreRatings(storeId),
+        canRate ? service.getUserRating(storeId, user.id) : null
+      ]);
+      setStore(storeData);
+      setRecentRatings(ratings);
+      setUserRating(ownRating);
+    } catch (error) {
+      console.error('Error loading store:', storeId, error);
+      setLoadError('Could not load this store. Please check your connection and try again.');
+    }
+    setLoading(false);
+  }, [storeId, canRate, user.id]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Save errors reach RatingModal, which shows them
+  const submitRating = async (rating, review) => {
+    await service.submitRating(storeId, user.id, rating, review);
+    setRatingModalOpen(false);
+    await loadData();
+  };
+
+  if (loading) {
+    return (
+      <DashboardLayout user={user} title="Store Details">
+        <p>Loading store...</p>
+      </DashboardLayout>
+    );
+  }
+
+  if (loadError) {
+    return (
+      <DashboardLayout user={user} title="Store Details">
+        <div className="text-center py-12">
+          <Store className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">Something went wrong</h3>
+          <p className="mt-1 text-sm text-gray-500">{loadError}</p>
+          <div className="mt-4 flex justify-center space-x-3">
+            <Button type="button" variant="primary" size="sm" onClick={loadData}>Try again</Button>
+            <Link to="/" className="inline-flex items-center text-sm text-blue-600 hover:text-blue-500 font-medium">Back to dashboard</Link>
+          </div>
+        </div>
+      </DashboardLayout>
+    );
+  }
+
+  // Only a query that succeeded without a row means the store does not exist
+  if (!store) {
+    return (
+      <DashboardLayout user={user} title="Store Details">
+        <div className="text-center py-12">
+          <Store className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">Store not found</h3>
+          <p className="mt-1 text-sm text-gray-500">This store does not exist or has been removed.</p>
+          <Link to="/" className="mt-4 inline-block text-sm text-blue-600 hover:text-blue-500 font-medium">Back to dashboard</Link>
+        </div>
+      </DashboardLayout>
+    );
+  }
+
+  return (
+    <DashboardLayout user={user} title={store.name}>
+      <div className="space-y-6">
+        <Link to="/" className="inline-flex items-center text-sm text-blue-600 hover:text-blue-500 font-medium">
+          <ArrowLeft className="w-4 h-4 mr-1" /> Back to dashboard
+        </Link>
+
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="bg-white p-6 rounded-lg shadow-sm border space-y-3">
+            <div className="flex items-start text-gray-600 text-sm">
+              <MapPin className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+              <span>{store.address}</span>
+            </div>
+            <div className="flex items-center text-gray-600 text-sm">
+              <Mail className="w-4 h-4 mr-2 flex-shrink-0" />
+              <span>{store.email}</span>
+            </div>
+            <div className="pt-3 border-t border-gray-200">
+              <p className="text-sm font-medium text-gray-700 mb-1">Overall Rating</p>
+              <StarRating rating={store.averageRating} readonly />
+              <p className="text-xs text-gray-500 mt-1">
+                Based on {store.totalRatings} rating{store.totalRatings !== 1 ? 's' : ''}
+              </p>
+            </div>
+            {canRate && (
+              <div className="pt-3 border-t border-gray-200">
+                <p className="text-sm font-medium text-gray-700 mb-2">Your Rating</p>
+                {userRating ? (
+                  <div className="space-y-2">
+                    <StarRating rating={userRating.rating} readonly />
+                    {userRating.review && <p className="text-sm text-gray-600 italic">"{userRating.review}"</p>}
+                    <Button onClick={() => setRatingModalOpen(true)} variant="outline" size="sm">Update Rating</Button>
+                  </div>
+                ) : (
+                  <Button onClick={() => setRatingModalOpen(true)} variant="primary" size="sm">Rate This Store</Button>
+                )}
+              </div>
+            )}
+          </div>
+          <RatingDistribution distribution={store.ratingDistribution} total={store.totalRatings} />
+        </motion.div>
+
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Recent Ratings</h3>
+          {recentRatings.length > 0 ? (
+            <div className="divide-y divide-gray-200">
+              {recentRatings.map((rating) => (
+                <div key={rating.id} className="py-4">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {rating.userName}
+                        {rating.user_id === user.id && <span className="ml-2 text-xs text-blue-600">(you)</span>}
+                      </p>
+                      <p className="text-xs text-gray-400 mt-1">{new Date(rating.created_at).toLocaleDateString()}</p>
+                    </div>
+                    <StarRating rating={rating.rating} readonly />
+                  </div>
+                  {rating.review && <p className="text-sm text-gray-700 mt-2 whitespace-pre-line">{rating.review}</p>}
+                  {rating.reply && (
+                    <div className="mt-3 ml-4 pl-3 border-l-2 border-blue-200">
+                      <p className="text-xs font-medium text-blue-700">Reply from the owner</p>
+                      <p className="text-sm text-gray-700 whitespace-pre-line">{rating.reply.reply}</p>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-500">This store has no ratings yet.</p>
+          )}
+        </div>
+
+        {ratingModalOpen && (
+          <RatingModal
+            store={store}
+            currentRating={userRating?.rating || 0}
+            currentReview={userRating?.review || ''}
+            onClose={() => setRatingModalOpen(false)}
+            onSubmit={submitRating}
+          />
+        )}
+      </div>
+    </DashboardLayout>
+  );
+}
+
+export default StoreDetail;
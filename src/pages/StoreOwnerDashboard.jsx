@@ -1,10 +1,30 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import * as service from '../services/supabaseService';
 import DashboardLayout from '../components/DashboardLayout';
+import Button from '../components/Button';
 import StarRating from '../components/StarRating';
-import { Store, Users, Star, ChevronDown } from 'lucide-react';
+import RatingDistribution from '../components/RatingDistribution';
+import RatingTrendChart from '../components/RatingTrendChart';
+import { useRealtimeRefresh } from '../hooks/useRealtimeRefresh';
+import { validateReply, validateFlagReason, REPLY_MAX_LENGTH, FLAG_REASON_MAX_LENGTH } from '../utils/validation';
+import { toCsv, downloadCsv, csvFilename } from '../utils/csv';
+import { Store, Users, Star, ChevronDown, MessageSquare, ExternalLink, TrendingUp, History, Download, Flag } from 'lucide-react';
+
+const RATING_CSV_COLUMNS = [
+  { header: 'Customer Name', value: r => r.userName },
+  { header: 'Customer Email', value: r => r.userEmail },
+  { header: 'Rating', value: r => r.rating },
+  { header: 'Review', value: r => r.review },
+  { header: 'Rated At', value: r => new Date(r.created_at) },
+  { header: 'Edited At', value: r => (r.updated_at ? new Date(r.updated_at) : null) },
+  { header: 'Your Reply', value: r => r.reply?.reply },
+];
+
+// "Corner Café & Deli" -> "corner-caf-deli", for file names
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
 
 function StoreOwnerDashboard() {
   const { user } = useAuth();
@@ -12,6 +32,8 @@ function StoreOwnerDashboard() {
   const [selectedStoreId, setSelectedStoreId] = useState(null);
   const [storeRatings, setStoreRatings] = useState([]);
   const [loading, setLoading] = useState(true);
+  // Bumped by live updates so the analytics panel reloads too
+  const [refreshKey, setRefreshKey] = useState(0);
 
   const loadOwnedStores = useCallback(async () => {
     if (!user) return;
@@ -46,10 +68,49 @@ function StoreOwnerDashboard() {
     loadSelectedStoreData();
   }, [selectedStoreId]);
 
+  // Live updates for new or changed ratings of the owner's stores, and for the stores themselves
+  useRealtimeRefresh(user ? `store-owner-${user.id}` : null, ['ratings', 'stores'], async () => {
+    try {
+      const [storesData, ratings] = await Promise.all([
+        service.getStoresByOwner(user.id),
+        selectedStoreId ? service.getStoreRatingsWithUserDetails(selectedStoreId) : null,
+      ]);
+      setOwnedStores(storesData);
+      if (ratings) setStoreRatings(ratings);
+      // The selected store may have been reassigned or deleted
+      if (!storesData.some(store => store.id === selectedStoreId)) {
+        setSelectedStoreId(storesData[0]?.id ?? null);
+      }
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error('Error refreshing store data:', error);
+    }
+  }, {
+    match: (payload) => {
+      // Deletes carry only the primary key, so they cannot be matched to a store
+      if (payload.eventType === 'DELETE') return true;
+      if (payload.table === 'ratings') return ownedStores.some(store => store.id === payload.new.store_id);
+      return payload.new.owner_id === user.id || ownedStores.some(store => store.id === payload.new.id);
+    },
+  });
+
+  const handleReplySaved = (ratingId, reply) => {
+    setStoreRatings(prev => prev.map(r => (r.id === ratingId ? { ...r, reply } : r)));
+  };
+
+  const handleFlagged = (ratingId) => {
+    setStoreRatings(prev => prev.map(r => (r.id === ratingId ? { ...r, flagged: true } : r)));
+  };
+
   const selectedStore = useMemo(() => {
     return ownedStores.find(store => store.id === selectedStoreId);
   }, [ownedStores, selectedStoreId]);
 
+  const handleExportRatings = () => {
+    const rows = [...storeRatings].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    downloadCsv(csvFilename(`ratings-${slugify(selectedStore.name) || selectedStore.id}`), toCsv(rows, RATING_CSV_COLUMNS));
+  };
+
   return (
     <DashboardLayout user={user} title="Store Owner Dashboard">
       <div className="space-y-6">
@@ -73,22 +134,35 @@ function StoreOwnerDashboard() {
                 </div>
               </div>
             )}
+            <div className="flex justify-end">
+              <Link to={`/stores/${selectedStore.id}`} className="inline-flex items-center text-sm text-blue-600 hover:text-blue-500 font-medium">
+                View public page <ExternalLink className="w-4 h-4 ml-1" />
+              </Link>
+            </div>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
               <StatCard icon={Store} title="Your Store" value={selectedStore.name} />
               <StatCard icon={Star} title="Average Rating" value={selectedStore.averageRating.toFixed(1)} />
               <StatCard icon={Users} title="Total Ratings" value={selectedStore.totalRatings} />
             </div>
+            <StoreAnalytics storeId={selectedStore.id} refreshKey={refreshKey} />
             <div className="bg-white p-6 rounded-lg shadow-sm border">
-              <h3 className="text-lg font-medium text-gray-900 mb-4">Customer Ratings</h3>
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900">Customer Ratings</h3>
+                {storeRatings.length > 0 && (
+                  <Button variant="outline" size="sm" onClick={handleExportRatings}>
+                    <Download className="w-4 h-4 mr-1 inline" /> Export CSV
+                  </Button>
+                )}
+              </div>
               {storeRatings.length > 0 ? (
                 <div className="divide-y divide-gray-200">
-                  {storeRatings.map((rating) => <RatingItem key={rating.id} rating={rating} />)}
+                  {storeRatings.map((rating) => <RatingItem key={rating.id} rating={rating} ownerId={user.id} onReplySaved={handleReplySaved} onFlagged={handleFlagged} />)}
                 </div>
               ) : (
                 <p className="text-gray-500">This store has no ratings yet.</p>
               )}
             </div>
-            {storeRatings.length > 0 && <RatingDistribution ratings={storeRatings} total={selectedStore.totalRatings} />}
+            {selectedStore.totalRatings > 0 && <RatingDistribution distribution={selectedStore.ratingDistribution} total={selectedStore.totalRatings} />}
           </>
         ) : (
           <div className="text-center py-12">
@@ -114,46 +188,353 @@ const StatCard = ({ icon: Icon, title, value }) => (
   </div>
 );
 
-const RatingItem = ({ rating }) => (
-  <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="py-4 flex items-center justify-between">
-    <div>
-      <p className="text-sm font-medium text-gray-900">{rating.userName}</p>
-      <p className="text-sm text-gray-500">{rating.userEmail}</p>
-      <p className="text-xs text-gray-400 mt-1">{new Date(rating.created_at).toLocaleDateString()}</p>
-    </div>
-    <StarRating rating={rating.rating} readonly />
-  </motion.div>
-);
+// "YYYY-MM-DD" in local time, the format <input type="date"> uses
+const toDateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+const monthsAgo = (months) => {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return date;
+};
+
+// Count-weighted average over the periods that have ratings
+const weightedAverage = (rows, averageKey, countKey) => {
+  const rated = rows.filter(row => row[averageKey] !== null);
+  const count = rated.reduce((sum, row) => sum + row[countKey], 0);
+  return count > 0 ? rated.reduce((sum, row) => sum + row[averageKey] * row[countKey], 0) / count : null;
+};
+
+function StoreAnalytics({ storeId, refreshKey }) {
+  const [period, setPeriod] = useState('week');
+  const [range, setRange] = useState({ from: toDateInput(monthsAgo(6)), to: toDateInput(new Date()) });
+  const [trend, setTrend] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
 
-const RatingDistribution = ({ ratings, total }) => {
-  const distribution = useMemo(() => {
-    const counts = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
-    for (const rating of ratings) {
-      counts[rating.rating]++;
+  useEffect(() => {
+    if (range.from && range.to && range.from > range.to) {
+      setError('The start date must be before the end date.');
+      setTrend([]);
+      return;
     }
-    return Object.entries(counts).map(([star, count]) => ({
-      star: Number(star),
-      count,
-      percentage: total > 0 ? (count / total) * 100 : 0,
-    })).sort((a,b) => b.star - a.star);
-  }, [ratings, total]);
+
+    let cancelled = false;
+    const loadTrend = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        // The end date is inclusive in the form, exclusive in the query
+        const to = range.to ? new Date(`${range.to}T00:00`) : null;
+        if (to) to.setDate(to.getDate() + 1);
+        const data = await service.getStoreRatingTrend(storeId, {
+          interval: period,
+          from: range.from ? new Date(`${range.from}T00:00`) : null,
+          to,
+        });
+        if (!cancelled) setTrend(data);
+      } catch (err) {
+        console.error('Error loading rating trend for store:', storeId, err);
+        if (!cancelled) setError('Could not load rating trends. Please try again.');
+      }
+      if (!cancelled) setLoading(false);
+    };
+    loadTrend();
+    return () => { cancelled = true; };
+  }, [storeId, period, range.from, range.to, refreshKey]);
+
+  const summary = useMemo(() => ({
+    average: weightedAverage(trend, 'averageRating', 'totalRatings'),
+    total: trend.reduce((sum, row) => sum + row.totalRatings, 0),
+    platformAverage: weightedAverage(trend, 'platformAverage', 'platformRatings'),
+  }), [trend]);
+
+  const difference = summary.average !== null && summary.platformAverage !== null
+    ? summary.average - summary.platformAverage
+    : null;
 
   return (
     <div className="bg-white p-6 rounded-lg shadow-sm border">
-      <h3 className="text-lg font-medium text-gray-900 mb-4">Rating Distribution</h3>
-      <div className="space-y-3">
-        {distribution.map(({ star, count, percentage }) => (
-          <div key={star} className="flex items-center">
-            <div className="flex items-center w-12 text-sm text-gray-600">{star} <Star className="w-4 h-4 text-yellow-400 ml-1" /></div>
-            <div className="flex-1 mx-4 bg-gray-200 rounded-full h-2">
-              <div className="bg-yellow-400 h-2 rounded-full" style={{ width: `${percentage}%` }} />
-            </div>
-            <div className="w-12 text-right text-sm text-gray-600">{count}</div>
-          </div>
-        ))}
+      <div className="flex flex-col lg:flex-row lg:items-end lg:justify-between gap-4 mb-4">
+        <h3 className="flex items-center text-lg font-medium text-gray-900">
+          <TrendingUp className="w-5 h-5 text-blue-600 mr-2" /> Rating Trends
+        </h3>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <label className="text-xs font-medium text-gray-600">
+            Group by
+            <select
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="week">Week</option>
+              <option value="month">Month</option>
+            </select>
+          </label>
+          <label className="text-xs font-medium text-gray-600">
+            From
+            <input
+              type="date"
+              value={range.from}
+              max={range.to || undefined}
+              onChange={(e) => setRange({ ...range, from: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+          <label className="text-xs font-medium text-gray-600">
+            To
+            <input
+              type="date"
+              value={range.to}
+              min={range.from || undefined}
+              onChange={(e) => setRange({ ...range, to: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+        </div>
       </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Clear the start date to see everything since the first rating.
+        {range.from && <button onClick={() => setRange({ ...range, from: '' })} className="ml-2 text-blue-600 hover:text-blue-500">Show all time</button>}
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">Average in period</p>
+          <p className="text-lg font-semibold text-gray-900">
+            {summary.average !== null ? summary.average.toFixed(2) : '–'}
+            {difference !== null && (
+              <span className={`ml-2 text-sm font-medium ${difference >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {difference >= 0 ? '+' : ''}{difference.toFixed(2)} vs platform
+              </span>
+            )}
+          </p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">Ratings in period</p>
+          <p className="text-lg font-semibold text-gray-900">{summary.total}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">Platform average</p>
+          <p className="text-lg font-semibold text-gray-900">{summary.platformAverage !== null ? summary.platformAverage.toFixed(2) : '–'}</p>
+        </div>
+      </div>
+
+      {error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : loading ? (
+        <p className="text-sm text-gray-500">Loading trends...</p>
+      ) : summary.total > 0 ? (
+        <RatingTrendChart data={trend} interval={period} />
+      ) : (
+        <p className="text-sm text-gray-500">No ratings in this period.</p>
+      )}
     </div>
   );
+}
+
+const RatingItem = ({ rating, ownerId, onReplySaved, onFlagged }) => {
+  const [editing, setEditing] = useState(false);
+  const [flagging, setFlagging] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="py-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-sm font-medium text-gray-900">{rating.userName}</p>
+          <p className="text-sm text-gray-500">{rating.userEmail}</p>
+          <p className="text-xs text-gray-400 mt-1">
+            {new Date(rating.created_at).toLocaleDateString()}
+            {rating.updated_at && (
+              <button
+                onClick={() => setShowHistory(!showHistory)}
+                title={`Last edited ${new Date(rating.updated_at).toLocaleString()}`}
+                className="ml-2 inline-flex items-center text-blue-600 hover:text-blue-500"
+              >
+                <History className="w-3 h-3 mr-0.5" /> Edited
+              </button>
+            )}
+          </p>
+        </div>
+        <StarRating rating={rating.rating} readonly />
+      </div>
+      {rating.review && <p className="text-sm text-gray-700 mt-2 whitespace-pre-line">{rating.review}</p>}
+      {showHistory && <RatingHistory ratingId={rating.id} />}
+      {editing ? (
+        <ReplyForm
+          rating={rating}
+          ownerId={ownerId}
+          onCancel={() => setEditing(false)}
+          onSaved={(reply) => { onReplySaved(rating.id, reply); setEditing(false); }}
+        />
+      ) : rating.reply ? (
+        <div className="mt-3 ml-4 pl-3 border-l-2 border-blue-200">
+          <p className="text-xs font-medium text-blue-700">Your reply</p>
+          <p className="text-sm text-gray-700 whitespace-pre-line">{rating.reply.reply}</p>
+          <button onClick={() => setEditing(true)} className="text-xs text-blue-600 hover:text-blue-500 mt-1">Edit reply</button>
+        </div>
+      ) : (
+        <button onClick={() => setEditing(true)} className="mt-2 flex items-center text-sm text-blue-600 hover:text-blue-500">
+          <MessageSquare className="w-4 h-4 mr-1" /> Reply
+        </button>
+      )}
+      {flagging ? (
+        <FlagForm
+          rating={rating}
+          ownerId={ownerId}
+          onCancel={() => setFlagging(false)}
+          onFlagged={() => { onFlagged(rating.id); setFlagging(false); }}
+        />
+      ) : rating.flagged ? (
+        <p className="mt-2 flex items-center text-xs text-orange-600">
+          <Flag className="w-3 h-3 mr-1" /> Flagged for review
+        </p>
+      ) : (
+        <button onClick={() => setFlagging(true)} className="mt-2 flex items-center text-xs text-gray-500 hover:text-red-600">
+          <Flag className="w-3 h-3 mr-1" /> Flag for review
+        </button>
+      )}
+    </motion.div>
+  );
 };
 
+// Previous versions of an edited rating, newest first. The first entry is the current version.
+function RatingHistory({ ratingId }) {
+  const [versions, setVersions] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        setVersions(await service.getRatingHistory(ratingId));
+      } catch (err) {
+        console.error('Error loading history for rating:', ratingId, err);
+        setError('Could not load the edit history.');
+      }
+    };
+    loadHistory();
+  }, [ratingId]);
+
+  if (error) return <p className="mt-2 text-sm text-red-600">{error}</p>;
+  if (!versions) return <p className="mt-2 text-sm text-gray-500">Loading history...</p>;
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 rounded-lg">
+      <p className="text-xs font-medium text-gray-600 mb-2">Edit history</p>
+      <ol className="space-y-2">
+        {versions.map((version, index) => (
+          <li key={version.id} className="text-sm">
+            <div className="flex items-center space-x-2">
+              <StarRating rating={version.rating} readonly size="sm" />
+              <span className="text-xs text-gray-500">{new Date(version.changed_at).toLocaleString()}</span>
+              {index === 0 && <span className="text-xs text-blue-600">Current</span>}
+            </div>
+            {version.review && <p className="text-gray-600 mt-1 whitespace-pre-line">{version.review}</p>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+function ReplyForm({ rating, ownerId, onCancel, onSaved }) {
+  const [reply, setReply] = useState(rating.reply?.reply || '');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const replyError = validateReply(reply);
+    if (replyError) {
+      setError(replyError);
+      return;
+    }
+    setLoading(true);
+    try {
+      const saved = await service.submitReply(rating.id, ownerId, reply);
+      onSaved(saved);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  const handleDelete = async () => {
+    setLoading(true);
+    try {
+      await service.deleteReply(rating.id);
+      onSaved(null);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 ml-4 space-y-2">
+      <textarea
+        rows={3}
+        value={reply}
+        onChange={(e) => { setReply(e.target.value); setError(''); }}
+        maxLength={REPLY_MAX_LENGTH}
+        placeholder="Write a public reply"
+        className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors
+          ${error ? 'border-red-500 bg-red-50' : 'border-gray-300'}`}
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex space-x-2">
+        <Button type="submit" size="sm" loading={loading}>Save Reply</Button>
+        {rating.reply && <Button type="button" variant="danger" size="sm" onClick={handleDelete} disabled={loading}>Delete</Button>}
+        <Button type="button" variant="secondary" size="sm" onClick={onCancel}>Cancel</Button>
+      </div>
+    </form>
+  );
+}
+
+// Asks an admin to review an abusive or fake rating
+function FlagForm({ rating, ownerId, onCancel, onFlagged }) {
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const reasonError = validateFlagReason(reason);
+    if (reasonError) {
+      setError(reasonError);
+      return;
+    }
+    setLoading(true);
+    try {
+      await service.flagRating(rating.id, ownerId, reason);
+      onFlagged();
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 ml-4 space-y-2">
+      <textarea
+        rows={2}
+        value={reason}
+        onChange={(e) => { setReason(e.target.value); setError(''); }}
+        maxLength={FLAG_REASON_MAX_LENGTH}
+        placeholder="Why should an admin review this rating? Only admins see this."
+        className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors
+          ${error ? 'border-red-500 bg-red-50' : 'border-gray-300'}`}
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex space-x-2">
+        <Button type="submit" variant="danger" size="sm" loading={loading}>Flag Rating</Button>
+        <Button type="button" variant="secondary" size="sm" onClick={onCancel}>Cancel</Button>
+      </div>
+    </form>
+  );
+}
+
 export default StoreOwnerDashboard;
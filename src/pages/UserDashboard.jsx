@@ -1,10 +1,14 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import * as service from '../services/supabaseService';
 import DashboardLayout from '../components/DashboardLayout';
 import Button from '../components/Button';
 import StarRating from '../components/StarRating';
+import RatingModal from '../components/RatingModal';
+import { useRealtimeRefresh } from '../hooks/useRealtimeRefresh';
+import { STORE_SORT_OPTIONS, sortStores } from '../utils/storeSort';
 import { Search, Star, MapPin } from 'lucide-react';
 
 function UserDashboard() {
@@ -13,22 +17,18 @@ function UserDashboard() {
   const [userRatings, setUserRatings] = useState({});
   const [loading, setLoading] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
+  const [sort, setSort] = useState({ sortBy: 'name', sortOrder: 'asc' });
   const [selectedStore, setSelectedStore] = useState(null);
   const [ratingModalOpen, setRatingModalOpen] = useState(false);
 
   const loadData = useCallback(async () => {
     setLoading(true);
     try {
-      const storesData = await service.getAllStoresWithRatings();
+      const [storesData, ratings] = await Promise.all([
+        service.getAllStoresWithRatings(),
+        service.getUserRatings(user.id)
+      ]);
       setStores(storesData);
-
-      const ratings = {};
-      for (const store of storesData) {
-        const userRatingData = await service.getUserRating(store.id, user.id);
-        if (userRatingData) {
-          ratings[store.id] = userRatingData.rating;
-        }
-      }
       setUserRatings(ratings);
     } catch (error) {
       console.error('Error loading stores:', error);
@@ -40,23 +40,46 @@ function UserDashboard() {
     loadData();
   }, [loadData]);
 
-  const filteredStores = stores.filter(store => 
+  // Keeps averages live while other users rate. Only the rated stores are refetched; the whole
+  // list is reloaded when a store changes or a rating is deleted (deletes carry only the id).
+  useRealtimeRefresh(`user-dashboard-${user.id}`, ['ratings', 'stores'], async (changes) => {
+    try {
+      const ratedOnly = changes.every(change => change.table === 'ratings' && change.new?.store_id);
+      if (ratedOnly) {
+        const storeIds = [...new Set(changes.map(change => change.new.store_id))];
+        const updated = await Promise.all(storeIds.map(id => service.getStoreWithRatings(id)));
+        setStores(prev => prev.map(s => updated.find(u => u?.id === s.id) || s));
+      } else {
+        setStores(await service.getAllStoresWithRatings());
+      }
+    } catch (error) {
+      console.error('Error refreshing stores:', error);
+    }
+  });
+
+  const filteredStores = sortStores(stores.filter(store => 
     store.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
     store.address.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  ), sort.sortBy, sort.sortOrder);
 
   const handleRateStore = (store) => {
     setSelectedStore(store);
     setRatingModalOpen(true);
   };
 
-  const submitRating = async (rating) => {
+  // Save errors reach RatingModal, which shows them; only the refresh afterwards is handled here
+  const submitRating = async (rating, review) => {
+    const saved = await service.submitRating(selectedStore.id, user.id, rating, review);
+    setUserRatings(prev => ({ ...prev, [saved.store_id]: { ...prev[saved.store_id], ...saved } }));
+    setRatingModalOpen(false);
     try {
-      await service.submitRating(selectedStore.id, user.id, rating);
-      setRatingModalOpen(false);
-      await loadData(); // Reload all data to get updated averages
+      // Refresh only the rated store to pick up its new average; null means it was deleted meanwhile
+      const updatedStore = await service.getStoreWithRatings(saved.store_id);
+      setStores(prev => (updatedStore
+        ? prev.map(s => (s.id === updatedStore.id ? updatedStore : s))
+        : prev.filter(s => s.id !== saved.store_id)));
     } catch (error) {
-      console.error('Error submitting rating:', error);
+      console.error('Error refreshing store:', error);
     }
   };
 
@@ -65,15 +88,34 @@ function UserDashboard() {
       <div className="space-y-6">
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h3 className="text-lg font-medium text-gray-900 mb-4">Find Stores</h3>
-          <div className="relative">
-            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
-            <input
-              type="text"
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              placeholder="Search stores by name or address..."
-              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div className="relative md:col-span-2">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="Search stores by name or address..."
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <select
+              aria-label="Sort by"
+              value={sort.sortBy}
+              onChange={(e) => setSort({ ...sort, sortBy: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {STORE_SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>Sort by {option.label}</option>)}
+            </select>
+            <select
+              aria-label="Sort order"
+              value={sort.sortOrder}
+              onChange={(e) => setSort({ ...sort, sortOrder: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="asc">Ascending</option>
+              <option value="desc">Descending</option>
+            </select>
           </div>
         </div>
 
@@ -86,7 +128,9 @@ function UserDashboard() {
               className="bg-white p-6 rounded-lg shadow-sm border hover:shadow-md transition-shadow flex flex-col"
             >
               <div className="flex-grow">
-                <h4 className="font-semibold text-gray-900 text-lg mb-2">{store.name}</h4>
+                <h4 className="font-semibold text-gray-900 text-lg mb-2">
+                  <Link to={`/stores/${store.id}`} className="hover:text-blue-600">{store.name}</Link>
+                </h4>
                 <div className="flex items-center text-gray-600 text-sm mb-4">
                   <MapPin className="w-4 h-4 mr-2 flex-shrink-0" />
                   <span className="line-clamp-2">{store.address}</span>
@@ -104,7 +148,19 @@ function UserDashboard() {
                 <p className="text-sm font-medium text-gray-700 mb-2">Your Rating</p>
                 {userRatings[store.id] ? (
                   <div className="space-y-2">
-                    <StarRating rating={userRatings[store.id]} readonly />
+                    <StarRating rating={userRatings[store.id].rating} readonly />
+                    {userRatings[store.id].review && (
+                      <p className="text-sm text-gray-600 italic line-clamp-3">"{userRatings[store.id].review}"</p>
+                    )}
+                    {userRatings[store.id].hidden_at && (
+                      <p className="text-xs text-gray-500">Hidden by a moderator. Only you can see this rating.</p>
+                    )}
+                    {userRatings[store.id].reply && (
+                      <div className="pl-3 border-l-2 border-blue-200">
+                        <p className="text-xs font-medium text-blue-700">Reply from the owner</p>
+                        <p className="text-sm text-gray-600 line-clamp-3">{userRatings[store.id].reply.reply}</p>
+                      </div>
+                    )}
                     <Button onClick={() => handleRateStore(store)} variant="outline" size="sm" className="w-full">
                       Update Rating
                     </Button>
@@ -132,7 +188,8 @@ function UserDashboard() {
         {ratingModalOpen && selectedStore && (
           <RatingModal
             store={selectedStore}
-            currentRating={userRatings[selectedStore.id] || 0}
+            currentRating={userRatings[selectedStore.id]?.rating || 0}
+            currentReview={userRatings[selectedStore.id]?.review || ''}
             onClose={() => setRatingModalOpen(false)}
             onSubmit={submitRating}
           />
@@ -142,36 +199,4 @@ function UserDashboard() {
   );
 }
 
-function RatingModal({ store, currentRating, onClose, onSubmit }) {
-  const [rating, setRating] = useState(currentRating);
-  const [loading, setLoading] = useState(false);
-
-  const handleSubmit = async () => {
-    if (rating === 0) return;
-    setLoading(true);
-    await onSubmit(rating);
-    setLoading(false);
-  };
-
-  return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-      <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} className="bg-white rounded-lg shadow-xl max-w-md w-full p-6">
-        <h3 className="text-lg font-semibold text-gray-900 mb-2">{currentRating ? 'Update Rating' : 'Rate Store'}</h3>
-        <p className="text-gray-600 mb-6">{store.name}</p>
-        <div className="text-center mb-6">
-          <p className="text-sm font-medium text-gray-700 mb-4">How would you rate this store?</p>
-          <StarRating rating={rating} onRatingChange={setRating} size="lg" />
-          {rating > 0 && <p className="text-sm text-gray-600 mt-2">You selected {rating} star{rating !== 1 ? 's' : ''}</p>}
-        </div>
-        <div className="flex space-x-3">
-          <Button type="button" variant="secondary" onClick={onClose} className="flex-1">Cancel</Button>
-          <Button type="button" variant="primary" onClick={handleSubmit} disabled={rating === 0 || rating === currentRating} loading={loading} className="flex-1">
-            {currentRating ? 'Update' : 'Submit'} Rating
-          </Button>
-        </div>
-      </motion.div>
-    </div>
-  );
-}
-
 export default UserDashboard;
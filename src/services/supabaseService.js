@@ -1,24 +1,82 @@
 import { supabase } from '../supabaseClient';
+import { mapDatabaseError } from '../utils/validation';
 
-// Helper function to calculate ratings
-const calculateStoreRatings = (stores, ratings) => {
-  return stores.map(store => {
-    const storeRatings = ratings.filter(r => r.store_id === store.id);
-    const totalRatings = storeRatings.length;
-    if (totalRatings === 0) {
-      return { ...store, averageRating: 0, totalRatings: 0 };
-    }
-    const sum = storeRatings.reduce((acc, r) => acc + r.rating, 0);
-    const averageRating = (sum / totalRatings).toFixed(1);
-    return { ...store, averageRating: parseFloat(averageRating), totalRatings };
-  });
+// Error with a machine-readable code and optional per-field messages for forms
+export class ServiceError extends Error {
+  constructor(message, { code, fields } = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.code = code;
+    this.fields = fields || {};
+  }
+}
+
+// Rewrites constraint violations into the same field messages the forms show
+const toServiceError = (error) => {
+  const mapped = mapDatabaseError(error);
+  if (!mapped) return error;
+  return new ServiceError(mapped.message, { code: error.code, fields: { [mapped.field]: mapped.message } });
+};
+
+// Helper function to map a stores_with_ratings row to the shape the dashboards use
+const mapStoreWithRatings = ({ average_rating, total_ratings, one_star, two_star, three_star, four_star, five_star, ...store }) => ({
+  ...store,
+  averageRating: Number(average_rating),
+  totalRatings: total_ratings,
+  ratingDistribution: { 1: one_star, 2: two_star, 3: three_star, 4: four_star, 5: five_star },
+});
+
+// Quotes a search term for use inside a PostgREST or() filter. The term is escaped twice:
+// first so % and _ match literally in ILIKE, then for PostgREST's quoted-value syntax.
+const ilikeAny = (columns, term) => {
+  const literal = term.replace(/[\\%_]/g, '\\$&');
+  const pattern = `"%${literal.replace(/[\\"]/g, '\\$&')}%"`;
+  return columns.map(column => `${column}.ilike.${pattern}`).join(',');
+};
+
+const pageRange = (page, pageSize) => [(page - 1) * pageSize, page * pageSize - 1];
+
+// PostgREST caps each response (1000 rows by default), so exports read in batches.
+// buildQuery must return a fresh, ordered query on every call.
+const EXPORT_BATCH_SIZE = 1000;
+const fetchAllPages = async (buildQuery) => {
+  const rows = [];
+  for (let page = 1; ; page += 1) {
+    const [from, to] = pageRange(page, EXPORT_BATCH_SIZE);
+    const { data, error } = await buildQuery().range(from, to);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < EXPORT_BATCH_SIZE) return rows;
+  }
+};
+
+// Which of the given emails already belong to a row of the table, lower-cased. Looked up in
+// batches so each request URL stays short; used by CSV import dry runs.
+const EMAIL_LOOKUP_BATCH_SIZE = 100;
+const findTakenEmails = async (table, emails) => {
+  const taken = new Set();
+  for (let i = 0; i < emails.length; i += EMAIL_LOOKUP_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('email')
+      .in('email', emails.slice(i, i + EMAIL_LOOKUP_BATCH_SIZE));
+    if (error) throw error;
+    data.forEach(row => taken.add(row.email.toLowerCase()));
+  }
+  return taken;
 };
 
+// rating_replies is one-to-one with ratings, but older PostgREST versions embed it as an array
+const embeddedReply = (replies) => (Array.isArray(replies) ? replies[0] || null : replies || null);
+
 // --- User & Profile Functions ---
 
+// profiles.email is not readable through the API. profiles_with_email adds it, but only returns the
+// caller's own profile, every profile for admins, and for store owners the users who rated their stores.
+
 export const getProfile = async (userId) => {
   const { data, error } = await supabase
-    .from('profiles')
+    .from('profiles_with_email')
     .select('*')
     .eq('id', userId)
     .single();
@@ -26,33 +84,130 @@ export const getProfile = async (userId) => {
   return data;
 };
 
-export const getAllUsers = async () => {
-  const { data, error } = await supabase.from('profiles').select('*');
+// Search, role filter and sort shared by the users table and its CSV export
+const usersQuery = ({ search = '', role = '', sortBy = 'name', sortOrder = 'asc' }, options) => {
+  let query = supabase.from('profiles_with_email').select('*', options);
+  if (search.trim()) query = query.or(ilikeAny(['name', 'email', 'address'], search.trim()));
+  if (role) query = query.eq('role', role);
+  return query.order(sortBy, { ascending: sortOrder === 'asc' }).order('id');
+};
+
+export const getUsersPage = async ({ page = 1, pageSize = 10, ...filters } = {}) => {
+  const [from, to] = pageRange(page, pageSize);
+  const { data, error, count } = await usersQuery(filters, { count: 'exact' }).range(from, to);
+  if (error) throw error;
+  return { rows: data, total: count };
+};
+
+// Every user matching the filters, for exports
+export const getAllUsersMatching = (filters = {}) => fetchAllPages(() => usersQuery(filters));
+
+// Auth stores emails lower-cased, so the lookup is too
+export const getTakenUserEmails = (emails) => findTakenEmails('profiles_with_email', emails.map(email => email.toLowerCase()));
+
+// Goes through the admin-create-user Edge Function so the admin's own session is untouched
+export const createUserAsAdmin = async ({ name, email, address, password, role }) => {
+  const { data, error } = await supabase.functions.invoke('admin-create-user', {
+    body: { name, email, address, password, role },
+  });
+  if (error) {
+    // Non-2xx responses carry { error: { code, message, fields } } in the body
+    const body = typeof error.context?.json === 'function' ? await error.context.json().catch(() => null) : null;
+    const details = body?.error;
+    throw new ServiceError(details?.message || error.message, { code: details?.code, fields: details?.fields });
+  }
+  return data.user;
+};
+
+// Checks the signed-in user's password on the server; unlike signInWithPassword it starts no new session
+export const verifyCurrentPassword = async (password) => {
+  const { data, error } = await supabase.rpc('verify_current_password', { p_password: password });
+  if (error) throw error;
+  return data;
+};
+
+// The role column is not writable directly, so admin edits go through admin_update_user,
+// which saves name, address and role together: a refused role change leaves the profile untouched
+export const updateUserAsAdmin = async (userId, { name, address, role }) => {
+  const { data, error } = await supabase.rpc('admin_update_user', {
+    p_user_id: userId,
+    // Trimmed like the form validates them, so the length checks agree
+    p_name: name.trim(),
+    p_address: address.trim(),
+    p_role: role,
+  });
+  if (error) throw toServiceError(error);
+  return data;
+};
+
+// Removes the auth user; the profile and their ratings go with it by cascade
+export const deleteUser = async (userId) => {
+  const { error } = await supabase.rpc('delete_user', { p_user_id: userId });
+  if (error) throw error;
+};
+
+export const getStoreOwners = async () => {
+  const { data, error } = await supabase.from('profiles_with_email').select('*').eq('role', 'store_owner').order('name');
   if (error) throw error;
   return data;
 };
 
+export const getPlatformStats = async () => {
+  const count = async (table, scope = query => query) => {
+    // Not '*': select=* on profiles is refused because the email column is not readable
+    const { count, error } = await scope(supabase.from(table).select('id', { count: 'exact', head: true }));
+    if (error) throw error;
+    return count;
+  };
+  const [users, stores, ratings] = await Promise.all([
+    count('profiles'),
+    count('stores'),
+    // Hidden ratings are left out, as they are from the store averages
+    count('ratings', query => query.is('hidden_at', null)),
+  ]);
+  return { users, stores, ratings };
+};
+
 // --- Store Functions ---
 
 export const getAllStoresWithRatings = async () => {
-  const { data: stores, error: storesError } = await supabase.from('stores').select('*');
-  if (storesError) throw storesError;
+  const { data, error } = await supabase.from('stores_with_ratings').select('*');
+  if (error) throw error;
+  return data.map(mapStoreWithRatings);
+};
 
-  const { data: ratings, error: ratingsError } = await supabase.from('ratings').select('store_id, rating');
-  if (ratingsError) throw ratingsError;
+// Search and sort shared by the stores grid and its CSV export
+const storesQuery = ({ search = '', sortBy = 'name', sortOrder = 'asc' }, options) => {
+  let query = supabase.from('stores_with_ratings').select('*', options);
+  if (search.trim()) query = query.or(ilikeAny(['name', 'email', 'address'], search.trim()));
+  return query.order(sortBy, { ascending: sortOrder === 'asc' }).order('id');
+};
 
-  return calculateStoreRatings(stores, ratings);
+export const getStoresPage = async ({ page = 1, pageSize = 10, ...filters } = {}) => {
+  const [from, to] = pageRange(page, pageSize);
+  const { data, error, count } = await storesQuery(filters, { count: 'exact' }).range(from, to);
+  if (error) throw error;
+  return { rows: data.map(mapStoreWithRatings), total: count };
 };
 
-export const getStoresByOwner = async (ownerId) => {
-  const { data: stores, error: storesError } = await supabase.from('stores').select('*').eq('owner_id', ownerId);
-  if (storesError) throw storesError;
+// Every store matching the filters, for exports
+export const getAllStoresMatching = async (filters = {}) => {
+  const rows = await fetchAllPages(() => storesQuery(filters));
+  return rows.map(mapStoreWithRatings);
+};
 
-  const storeIds = stores.map(s => s.id);
-  const { data: ratings, error: ratingsError } = await supabase.from('ratings').select('store_id, rating').in('store_id', storeIds);
-  if (ratingsError) throw ratingsError;
+export const getTakenStoreEmails = (emails) => findTakenEmails('stores', emails);
+
+export const getStoreWithRatings = async (storeId) => {
+  const { data, error } = await supabase.from('stores_with_ratings').select('*').eq('id', storeId).maybeSingle();
+  if (error) throw error;
+  return data ? mapStoreWithRatings(data) : null;
+};
 
-  return calculateStoreRatings(stores, ratings);
+export const getStoresByOwner = async (ownerId) => {
+  const { data, error } = await supabase.from('stores_with_ratings').select('*').eq('owner_id', ownerId);
+  if (error) throw error;
+  return data.map(mapStoreWithRatings);
 };
 
 // export const createStore = async (storeData) => {
@@ -67,26 +222,49 @@ export async function createStore(data) {
     .select('*')
     .single();
 
-  if (error) throw error;
+  if (error) throw toServiceError(error);
   return store;
 }
 
+export const updateStore = async (storeId, { name, email, address, owner_id }) => {
+  const { data, error } = await supabase
+    .from('stores')
+    .update({ name, email, address, owner_id: owner_id || null })
+    .eq('id', storeId)
+    .select('*')
+    .single();
+  if (error) throw toServiceError(error);
+  return data;
+};
+
+export const deleteStore = async (storeId) => {
+  const { error } = await supabase.from('stores').delete().eq('id', storeId);
+  if (error) throw error;
+};
+
 // --- Rating Functions ---
 
-export const submitRating = async (storeId, userId, rating) => {
+export const submitRating = async (storeId, userId, rating, review = '') => {
   const { data, error } = await supabase
     .from('ratings')
-    .upsert({ store_id: storeId, user_id: userId, rating: rating }, { onConflict: 'store_id, user_id' })
+    .upsert(
+      { store_id: storeId, user_id: userId, rating: rating, review: review.trim() || null },
+      { onConflict: 'store_id, user_id' }
+    )
     .select()
     .single();
-  if (error) throw error;
+  // The insert policy only refuses users who have not confirmed their email yet
+  if (error?.code === '42501') {
+    throw new ServiceError('Please confirm your email address before rating stores.', { code: error.code });
+  }
+  if (error) throw toServiceError(error);
   return data;
 };
 
 export const getUserRating = async (storeId, userId) => {
   const { data, error } = await supabase
     .from('ratings')
-    .select('rating')
+    .select('rating, review')
     .eq('store_id', storeId)
     .eq('user_id', userId)
     .maybeSingle();
@@ -94,14 +272,59 @@ export const getUserRating = async (storeId, userId) => {
   return data;
 };
 
+// Returns every rating the user has submitted, keyed by store id
+export const getUserRatings = async (userId) => {
+  const { data, error } = await supabase
+    .from('ratings')
+    .select('store_id, rating, review, hidden_at, rating_replies ( reply, created_at )')
+    .eq('user_id', userId);
+  if (error) throw error;
+  return Object.fromEntries(data.map(({ rating_replies, ...r }) => [r.store_id, { ...r, reply: embeddedReply(rating_replies) }]));
+};
+
+// Every rating a user has submitted, newest first, with the store name. Admins also get hidden ones.
+export const getRatingsByUser = async (userId) => {
+  const { data, error } = await supabase
+    .from('ratings')
+    .select(`
+      id,
+      store_id,
+      rating,
+      review,
+      hidden_at,
+      created_at,
+      updated_at,
+      stores (
+        name
+      )
+    `)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+
+  return data.map(r => ({
+    ...r,
+    storeName: r.stores?.name,
+  }));
+};
+
 export const getStoreRatingsWithUserDetails = async (storeId) => {
   const { data: ratings, error } = await supabase
     .from('ratings')
     .select(`
       *,
-      profiles (
+      profiles_with_email (
         name,
         email
+      ),
+      rating_replies (
+        id,
+        reply,
+        created_at,
+        updated_at
+      ),
+      rating_flags (
+        status
       )
     `)
     .eq('store_id', storeId);
@@ -111,7 +334,220 @@ export const getStoreRatingsWithUserDetails = async (storeId) => {
   // Restructure data to be more usable
   return ratings.map(r => ({
     ...r,
-    userName: r.profiles.name,
-    userEmail: r.profiles.email,
+    userName: r.profiles_with_email?.name,
+    userEmail: r.profiles_with_email?.email,
+    reply: embeddedReply(r.rating_replies),
+    // RLS returns only the caller's own flags, so for an owner this means "I flagged it"
+    flagged: (r.rating_flags || []).some(flag => flag.status === 'open'),
+  }));
+};
+
+// Public view of a store's latest ratings: reviewer names only, no emails
+export const getRecentStoreRatings = async (storeId, limit = 10) => {
+  const { data, error } = await supabase
+    .from('ratings')
+    .select(`
+      id,
+      user_id,
+      rating,
+      review,
+      created_at,
+      profiles (
+        name
+      ),
+      rating_replies (
+        reply,
+        created_at
+      )
+    `)
+    .eq('store_id', storeId)
+    // Authors and admins can read hidden ratings, but they are not part of the public list
+    .is('hidden_at', null)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+
+  return data.map(r => ({
+    ...r,
+    userName: r.profiles?.name,
+    reply: embeddedReply(r.rating_replies),
+  }));
+};
+
+// Every version of a rating, newest first. Readable by the author, the store owner and admins.
+export const getRatingHistory = async (ratingId) => {
+  const { data, error } = await supabase
+    .from('rating_history')
+    .select('id, rating, review, changed_at')
+    .eq('rating_id', ratingId)
+    .order('changed_at', { ascending: false });
+  if (error) throw error;
+  return data;
+};
+
+// Average rating and volume per week or month for the owner analytics chart.
+// from/to are Dates (to is exclusive); leave from empty to start at the store's first rating.
+export const getStoreRatingTrend = async (storeId, { interval = 'week', from = null, to = null } = {}) => {
+  const { data, error } = await supabase.rpc('get_store_rating_trend', {
+    p_store_id: storeId,
+    p_interval: interval,
+    p_from: from ? from.toISOString() : null,
+    p_to: to ? to.toISOString() : null,
+  });
+  if (error) throw error;
+
+  return data.map(row => ({
+    periodStart: new Date(row.period_start),
+    averageRating: row.average_rating === null ? null : Number(row.average_rating),
+    totalRatings: row.total_ratings,
+    platformAverage: row.platform_average === null ? null : Number(row.platform_average),
+    platformRatings: row.platform_ratings,
   }));
 };
+
+// --- Reply Functions ---
+
+export const submitReply = async (ratingId, ownerId, reply) => {
+  const { data, error } = await supabase
+    .from('rating_replies')
+    .upsert(
+      { rating_id: ratingId, owner_id: ownerId, reply: reply.trim() },
+      { onConflict: 'rating_id' }
+    )
+    .select('id, reply, created_at, updated_at')
+    .single();
+  if (error) throw toServiceError(error);
+  return data;
+};
+
+export const deleteReply = async (ratingId) => {
+  const { error } = await supabase.from('rating_replies').delete().eq('rating_id', ratingId);
+  if (error) throw error;
+};
+
+// --- Moderation Functions ---
+
+// Store owners flag a rating of their own store for an admin to review
+export const flagRating = async (ratingId, ownerId, reason) => {
+  const { error } = await supabase
+    .from('rating_flags')
+    .insert({ rating_id: ratingId, flagged_by: ownerId, reason: reason.trim() });
+  if (error) throw toServiceError(error);
+};
+
+// Open flags grouped by rating, oldest flag first
+export const getModerationQueue = async () => {
+  const { data, error } = await supabase
+    .from('rating_flags')
+    .select(`
+      id,
+      reason,
+      created_at,
+      flagger:profiles_with_email!rating_flags_flagged_by_fkey (
+        name,
+        email
+      ),
+      ratings (
+        id,
+        rating,
+        review,
+        hidden_at,
+        created_at,
+        stores (
+          name
+        ),
+        profiles_with_email (
+          name,
+          email
+        )
+      )
+    `)
+    .eq('status', 'open')
+    .order('created_at');
+  if (error) throw error;
+
+  const byRating = new Map();
+  data.forEach(({ ratings: rating, flagger, ...flag }) => {
+    if (!byRating.has(rating.id)) {
+      byRating.set(rating.id, {
+        ...rating,
+        storeName: rating.stores?.name,
+        userName: rating.profiles_with_email?.name,
+        userEmail: rating.profiles_with_email?.email,
+        flags: [],
+      });
+    }
+    byRating.get(rating.id).flags.push({ ...flag, flaggerName: flagger?.name, flaggerEmail: flagger?.email });
+  });
+  return [...byRating.values()];
+};
+
+// action is 'hide', 'unhide', 'remove' or 'dismiss'; the note is stored in the moderation log
+export const moderateRating = async (ratingId, action, note = '') => {
+  const { error } = await supabase.rpc('moderate_rating', {
+    p_rating_id: ratingId,
+    p_action: action,
+    p_reason: note.trim() || null,
+  });
+  if (error) throw toServiceError(error);
+};
+
+export const getModerationLog = async (limit = 50) => {
+  const { data, error } = await supabase
+    .from('moderation_actions')
+    .select(`
+      id,
+      rating_id,
+      action,
+      reason,
+      rating,
+      review,
+      flag_reasons,
+      created_at,
+      admin:profiles!moderation_actions_admin_id_fkey (
+        name
+      ),
+      author:profiles!moderation_actions_rating_user_id_fkey (
+        name
+      ),
+      stores (
+        name
+      ),
+      ratings (
+        hidden_at
+      )
+    `)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+
+  return data.map(({ admin, author, stores, ratings, ...entry }) => ({
+    ...entry,
+    adminName: admin?.name,
+    authorName: author?.name,
+    storeName: stores?.name,
+    // null once the rating has been removed
+    ratingHidden: ratings ? Boolean(ratings.hidden_at) : null,
+  }));
+};
+
+// --- Realtime ---
+
+// Each subscription gets its own topic. supabase.channel() hands back an existing channel with
+// the same topic while it is still leaving after removeChannel, and subscribing that one does
+// nothing, so a remount (or StrictMode's double effect) would otherwise lose live updates.
+let channelCount = 0;
+
+// Calls onChange(payload) for every insert, update and delete on the given tables.
+// Returns a function that removes the subscription; call it when the view unmounts.
+export const subscribeToChanges = (channelName, tables, onChange) => {
+  channelCount += 1;
+  const channel = tables.reduce(
+    (ch, table) => ch.on('postgres_changes', { event: '*', schema: 'public', table }, onChange),
+    supabase.channel(`${channelName}-${channelCount}`)
+  );
+  channel.subscribe();
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
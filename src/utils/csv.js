@@ -0,0 +1,83 @@
+// CSV import and export helpers. Output follows RFC 4180 (CRLF line endings, fields quoted when
+// they contain a comma, quote or line break) with a UTF-8 BOM so Excel reads accents.
+
+// Spreadsheet apps run cells starting with these as formulas, so they are prefixed with '
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Reverses the ' guard escapeCsvValue adds, so exported files can be imported again unchanged
+export const unescapeCsvValue = (text) => (text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text);
+
+// columns: [{ header: 'Name', value: (row) => row.name }, ...]
+export const toCsv = (rows, columns) => {
+  const lines = [
+    columns.map(column => escapeCsvValue(column.header)),
+    ...rows.map(row => columns.map(column => escapeCsvValue(column.value(row)))),
+  ];
+  return lines.map(cells => cells.join(',')).join('\r\n');
+};
+
+export const downloadCsv = (filename, csv) => {
+  const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// e.g. csvFilename('stores') -> "stores-2025-01-31.csv"
+export const csvFilename = (name) => `${name}-${new Date().toISOString().slice(0, 10)}.csv`;
+
+// Parses CSV text into an array of rows, each an array of strings. Accepts quoted fields
+// with embedded commas, quotes ("") and line breaks, CRLF or LF line endings and a BOM.
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) throw new Error('The file has a quoted field that is never closed');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
@@ -0,0 +1,11 @@
+// Home page for each role. Unknown roles fall back to the login page.
+const DASHBOARD_PATHS = {
+  admin: '/admin',
+  user: '/user',
+  store_owner: '/store-owner',
+};
+
+export const getDashboardPath = (role) => DASHBOARD_PATHS[role] || '/login';
+
+// Turns a location saved by ProtectedRoute back into a path, e.g. "/stores/12?tab=reviews"
+export const toPath = (location) => `${location.pathname}${location.search || ''}${location.hash || ''}`;
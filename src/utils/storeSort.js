@@ -0,0 +1,24 @@
+// --- Store Sorting ---
+
+// `value` is the stores_with_ratings column used for server-side ordering,
+// `field` is the matching property on the objects returned by the service layer.
+export const STORE_SORT_OPTIONS = [
+  { value: 'name', label: 'Name', field: 'name', type: 'string' },
+  { value: 'email', label: 'Email', field: 'email', type: 'string' },
+  { value: 'average_rating', label: 'Rating', field: 'averageRating', type: 'number' },
+  { value: 'total_ratings', label: 'Number of Ratings', field: 'totalRatings', type: 'number' },
+  { value: 'created_at', label: 'Date Added', field: 'created_at', type: 'date' },
+];
+
+const compareValues = (a, b, type) => {
+  if (type === 'number') return (a || 0) - (b || 0);
+  if (type === 'date') return (Date.parse(a) || 0) - (Date.parse(b) || 0);
+  return (a || '').toString().localeCompare((b || '').toString(), undefined, { sensitivity: 'base' });
+};
+
+// Client-side equivalent of the server ordering, for lists that are already loaded in full
+export const sortStores = (stores, sortBy, sortOrder = 'asc') => {
+  const option = STORE_SORT_OPTIONS.find(o => o.value === sortBy) || STORE_SORT_OPTIONS[0];
+  const order = sortOrder === 'asc' ? 1 : -1;
+  return [...stores].sort((a, b) => compareValues(a[option.field], b[option.field], option.type) * order || a.id - b.id);
+};
@@ -0,0 +1,185 @@
+// Single source of truth for form validation. The limits mirror the CHECK and
+// length constraints in supabase/migrations, and mapDatabaseError turns a
+// violation of those constraints back into the same field-level messages.
+
+export const NAME_MIN_LENGTH = 20;
+export const NAME_MAX_LENGTH = 60;
+export const ADDRESS_MAX_LENGTH = 400;
+export const STORE_NAME_MAX_LENGTH = 255;
+export const PASSWORD_MIN_LENGTH = 8;
+export const PASSWORD_MAX_LENGTH = 16;
+export const REVIEW_MAX_LENGTH = 1000;
+export const REPLY_MAX_LENGTH = 1000;
+export const FLAG_REASON_MAX_LENGTH = 500;
+export const MODERATION_NOTE_MAX_LENGTH = 500;
+
+export const ROLES = ['admin', 'user', 'store_owner'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// --- Field Rules ---
+// Each rule returns an error message, or an empty string when the value is acceptable.
+
+export const validateName = (name) => {
+  const value = (name || '').trim();
+  if (!value) return 'Name is required';
+  if (value.length < NAME_MIN_LENGTH) return `Name must be at least ${NAME_MIN_LENGTH} characters`;
+  if (value.length > NAME_MAX_LENGTH) return `Name must be maximum ${NAME_MAX_LENGTH} characters`;
+  return '';
+};
+
+export const validateEmail = (email) => {
+  const value = (email || '').trim();
+  if (!value) return 'Email is required';
+  if (!EMAIL_PATTERN.test(value)) return 'Please enter a valid email address';
+  return '';
+};
+
+export const validateAddress = (address) => {
+  const value = (address || '').trim();
+  if (!value) return 'Address is required';
+  if (value.length > ADDRESS_MAX_LENGTH) return `Address must be maximum ${ADDRESS_MAX_LENGTH} characters`;
+  return '';
+};
+
+export const validateStoreName = (name) => {
+  const value = (name || '').trim();
+  if (!value) return 'Store name is required';
+  if (value.length > STORE_NAME_MAX_LENGTH) return `Store name must be maximum ${STORE_NAME_MAX_LENGTH} characters`;
+  return '';
+};
+
+// 8-16 characters, one uppercase letter, one special character
+export const validatePassword = (password) => {
+  if (!password) return 'Password is required';
+  if (password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+    return `Password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters long`;
+  }
+  if (!/(?=.*[A-Z])/.test(password)) return 'Password must contain at least one uppercase letter';
+  if (!/(?=.*[!@#$%^&*(),.?":{}|<>])/.test(password)) return 'Password must contain at least one special character';
+  return '';
+};
+
+export const validateRole = (role) => (ROLES.includes(role) ? '' : 'Please select a valid role');
+
+const required = (message) => (value) => (value ? '' : message);
+
+const matches = (field) => (value, values) => (value === values[field] ? '' : 'Passwords do not match');
+
+// --- Review Validation ---
+
+// Kept short on purpose: this catches the obvious cases, moderation handles the rest.
+const BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'dick', 'cunt', 'slut', 'whore'];
+
+const blockedWordsPattern = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})\\w*\\b`, 'i');
+
+const validateText = (value, label, maxLength) => {
+  const text = (value || '').trim();
+  if (text.length > maxLength) return `${label} must be maximum ${maxLength} characters`;
+  if (blockedWordsPattern.test(text)) return `Please keep your ${label.toLowerCase()} free of offensive language`;
+  return '';
+};
+
+// An empty review is valid because reviews are optional.
+export const validateReview = (review) => validateText(review, 'Review', REVIEW_MAX_LENGTH);
+
+// Same rules as reviews, except a reply cannot be empty.
+export const validateReply = (reply) => {
+  if (!(reply || '').trim()) return 'Reply cannot be empty';
+  return validateText(reply, 'Reply', REPLY_MAX_LENGTH);
+};
+
+// --- Moderation ---
+
+export const validateFlagReason = (reason) => {
+  const value = (reason || '').trim();
+  if (!value) return 'Please say why this rating should be reviewed';
+  if (value.length > FLAG_REASON_MAX_LENGTH) return `Reason must be maximum ${FLAG_REASON_MAX_LENGTH} characters`;
+  return '';
+};
+
+// The note an admin adds to a moderation action is optional
+export const validateModerationNote = (note) => (
+  (note || '').trim().length > MODERATION_NOTE_MAX_LENGTH ? `Note must be maximum ${MODERATION_NOTE_MAX_LENGTH} characters` : ''
+);
+
+// --- Form Schemas ---
+
+export const registerSchema = {
+  name: validateName,
+  email: validateEmail,
+  address: validateAddress,
+  password: validatePassword,
+};
+
+export const newUserSchema = {
+  ...registerSchema,
+  role: validateRole,
+};
+
+export const profileSchema = {
+  name: validateName,
+  address: validateAddress,
+  role: validateRole,
+};
+
+export const storeSchema = {
+  name: validateStoreName,
+  email: validateEmail,
+  address: validateAddress,
+  owner_id: required('You must assign an owner'),
+};
+
+export const passwordChangeSchema = {
+  currentPassword: required('Current password is required'),
+  newPassword: validatePassword,
+  confirmPassword: matches('newPassword'),
+};
+
+export const passwordResetSchema = {
+  password: validatePassword,
+  confirmPassword: matches('password'),
+};
+
+// Runs every rule in the schema and returns { field: message } for the failures only
+export const validate = (schema, values) => {
+  const errors = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const message = rule(values[field], values);
+    if (message) errors[field] = message;
+  }
+  return errors;
+};
+
+// --- Database Errors ---
+
+// Named constraints from the migrations, mapped to the field and message the forms use
+const CONSTRAINT_ERRORS = {
+  profiles_name_check: { field: 'name', message: `Name must be ${NAME_MIN_LENGTH}-${NAME_MAX_LENGTH} characters` },
+  profiles_address_check: { field: 'address', message: `Address must be maximum ${ADDRESS_MAX_LENGTH} characters` },
+  stores_name_check: { field: 'name', message: 'Store name is required' },
+  stores_email_key: { field: 'email', message: 'A store with this email already exists' },
+  stores_email_format_check: { field: 'email', message: 'Please enter a valid email address' },
+  stores_owner_id_fkey: { field: 'owner_id', message: 'The selected owner no longer exists' },
+  ratings_rating_check: { field: 'rating', message: 'Rating must be between 1 and 5 stars' },
+  ratings_review_length_check: { field: 'review', message: `Review must be maximum ${REVIEW_MAX_LENGTH} characters` },
+  rating_replies_reply_check: { field: 'reply', message: `Reply must be maximum ${REPLY_MAX_LENGTH} characters` },
+  rating_flags_reason_check: { field: 'reason', message: `Reason must be maximum ${FLAG_REASON_MAX_LENGTH} characters` },
+  rating_flags_one_open_per_owner: { field: 'reason', message: 'You have already flagged this rating' },
+  moderation_actions_reason_check: { field: 'reason', message: `Note must be maximum ${MODERATION_NOTE_MAX_LENGTH} characters` },
+};
+
+// Maps a PostgREST/Postgres error to { field, message }, or null when it is not a known constraint.
+// 23505 unique, 23514 check and 23503 foreign key violations name the constraint in the message.
+export const mapDatabaseError = (error) => {
+  if (!error || !['23505', '23514', '23503'].includes(error.code)) return null;
+  const text = `${error.message} ${error.details || ''}`;
+  const constraint = Object.keys(CONSTRAINT_ERRORS).find(name => text.includes(`"${name}"`));
+  return constraint ? CONSTRAINT_ERRORS[constraint] : null;
+};
+
+// Turns an error thrown by the service layer into a form's errors state:
+// field messages when there are any, otherwise a general message.
+export const toFormErrors = (error) => (
+  error.fields && Object.keys(error.fields).length > 0 ? error.fields : { general: error.message }
+);
@@ -0,0 +1,125 @@
+// Creates a user on behalf of an admin without touching the admin's own session.
+//
+// Runs with the service role key, so the caller's JWT is verified and their profile
+// must have the 'admin' role before anything is created. Errors are returned as
+// { error: { code, message, fields? } } so the dashboard can show them per field.
+//
+// Local: supabase functions serve admin-create-user
+import { createClient } from 'npm:@supabase/supabase-js@2';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+const ROLES = ['admin', 'user', 'store_owner'];
+
+const json = (status: number, body: unknown) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+
+const fail = (status: number, code: string, message: string, fields?: Record<string, string>) =>
+  json(status, { error: { code, message, ...(fields ? { fields } : {}) } });
+
+// Mirrors newUserSchema in src/utils/validation.js (Edge Functions are bundled on
+// their own and cannot import from src/). Keep the rules and messages in sync.
+const validateName = (name = '') => {
+  const value = name.trim();
+  if (!value) return 'Name is required';
+  if (value.length < 20) return 'Name must be at least 20 characters';
+  if (value.length > 60) return 'Name must be maximum 60 characters';
+  return '';
+};
+
+const validateEmail = (email = '') => {
+  const value = email.trim();
+  if (!value) return 'Email is required';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return 'Please enter a valid email address';
+  return '';
+};
+
+const validateAddress = (address = '') => {
+  const value = address.trim();
+  if (!value) return 'Address is required';
+  if (value.length > 400) return 'Address must be maximum 400 characters';
+  return '';
+};
+
+const validatePassword = (password = '') => {
+  if (!password) return 'Password is required';
+  if (password.length < 8 || password.length > 16) return 'Password must be 8-16 characters long';
+  if (!/(?=.*[A-Z])/.test(password)) return 'Password must contain at least one uppercase letter';
+  if (!/(?=.*[!@#$%^&*(),.?":{}|<>])/.test(password)) return 'Password must contain at least one special character';
+  return '';
+};
+
+const validateRole = (role = '') => (ROLES.includes(role) ? '' : 'Please select a valid role');
+
+const validate = ({ name, email, address, password, role }: Record<string, string>) => {
+  const rules: Record<string, string> = {
+    name: validateName(name),
+    email: validateEmail(email),
+    address: validateAddress(address),
+    password: validatePassword(password),
+    role: validateRole(role),
+  };
+  return Object.fromEntries(Object.entries(rules).filter(([, message]) => message));
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders });
+  if (req.method !== 'POST') return fail(405, 'method_not_allowed', 'Use POST to create users');
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+  const admin = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  // 1. Verify the caller is a signed-in admin.
+  const token = req.headers.get('Authorization')?.replace(/^Bearer\s+/i, '');
+  if (!token) return fail(401, 'unauthorized', 'You must be signed in');
+
+  const { data: { user: caller }, error: callerError } = await admin.auth.getUser(token);
+  if (callerError || !caller) return fail(401, 'unauthorized', 'Your session is invalid or has expired');
+
+  const { data: callerProfile } = await admin.from('profiles').select('role').eq('id', caller.id).maybeSingle();
+  if (callerProfile?.role !== 'admin') return fail(403, 'forbidden', 'Only admins can create users');
+
+  // 2. Validate the payload.
+  let payload: Record<string, string>;
+  try {
+    payload = await req.json();
+  } catch {
+    return fail(400, 'invalid_body', 'Request body must be JSON');
+  }
+  const fields = validate(payload);
+  if (Object.keys(fields).length > 0) return fail(400, 'validation_failed', 'Please fix the highlighted fields', fields);
+
+  const { name, email, address, password, role } = payload;
+
+  // 3. Create the auth user. handle_new_user creates the profile from the metadata.
+  const { data: created, error: createError } = await admin.auth.admin.createUser({
+    email: email.trim(),
+    password,
+    email_confirm: true,
+    user_metadata: { name: name.trim(), address: address.trim() },
+  });
+  if (createError) {
+    if (createError.code === 'email_exists' || /already (been )?registered/i.test(createError.message)) {
+      return fail(409, 'email_exists', 'A user with this email already exists', { email: 'A user with this email already exists' });
+    }
+    return fail(400, createError.code || 'create_failed', createError.message);
+  }
+
+  // 4. Set the role server-side; it is never taken from client-supplied metadata.
+  const { error: roleError } = await admin.from('profiles').update({ role }).eq('id', created.user.id);
+  if (roleError) {
+    await admin.auth.admin.deleteUser(created.user.id);
+    return fail(500, 'role_assignment_failed', roleError.message);
+  }
+
+  return json(201, { user: { id: created.user.id, email: created.user.email, name: name.trim(), role } });
+});
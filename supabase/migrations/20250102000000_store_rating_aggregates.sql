@@ -0,0 +1,63 @@
+/*
+  # Create store rating aggregates
+  [Computes average, count and per-star histogram for every store in the database instead of in the browser.]
+
+  ## Query Description: [Adds an index on ratings.store_id and a stores_with_ratings view that joins each store to its rating aggregates. Stores without ratings report 0 for every aggregate.]
+
+  ## Metadata:
+  - Schema-Category: "Structural"
+  - Impact-Level: "Low"
+  - Requires-Backup: false
+  - Reversible: true (by dropping the view and index)
+
+  ## Structure Details:
+  - Index: ratings_store_id_idx
+  - View: public.stores_with_ratings
+  - Columns: store columns, average_rating, total_ratings, one_star .. five_star
+
+  ## Security Implications:
+  - RLS Status: The view is security_invoker, so the policies on stores and ratings still apply.
+  - Policy Changes: No.
+  - Auth Requirements: Same as the underlying tables.
+
+  ## Performance Impact:
+  - Indexes: Added on ratings(store_id).
+  - Triggers: None.
+  - Estimated Impact: Low. Aggregates are computed per query by Postgres, and filters on id are pushed into the grouped subquery.
+*/
+CREATE INDEX IF NOT EXISTS ratings_store_id_idx ON public.ratings (store_id);
+
+DROP VIEW IF EXISTS public.stores_with_ratings;
+CREATE VIEW public.stores_with_ratings
+WITH (security_invoker = true) AS
+SELECT
+  s.id,
+  s.name,
+  s.email,
+  s.address,
+  s.owner_id,
+  s.created_at,
+  COALESCE(a.average_rating, 0) AS average_rating,
+  COALESCE(a.total_ratings, 0) AS total_ratings,
+  COALESCE(a.one_star, 0) AS one_star,
+  COALESCE(a.two_star, 0) AS two_star,
+  COALESCE(a.three_star, 0) AS three_star,
+  COALESCE(a.four_star, 0) AS four_star,
+  COALESCE(a.five_star, 0) AS five_star
+FROM public.stores s
+LEFT JOIN (
+  SELECT
+    store_id,
+    ROUND(AVG(rating), 1) AS average_rating,
+    COUNT(*)::INT AS total_ratings,
+    (COUNT(*) FILTER (WHERE rating = 1))::INT AS one_star,
+    (COUNT(*) FILTER (WHERE rating = 2))::INT AS two_star,
+    (COUNT(*) FILTER (WHERE rating = 3))::INT AS three_star,
+    (COUNT(*) FILTER (WHERE rating = 4))::INT AS four_star,
+    (COUNT(*) FILTER (WHERE rating = 5))::INT AS five_star
+  FROM public.ratings
+  GROUP BY store_id
+) a ON a.store_id = s.id;
+COMMENT ON VIEW public.stores_with_ratings IS 'Stores joined with their average rating, rating count and per-star histogram.';
+
+GRANT SELECT ON public.stores_with_ratings TO anon, authenticated;
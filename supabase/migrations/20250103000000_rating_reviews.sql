@@ -0,0 +1,34 @@
+/*
+  # Add written reviews to ratings
+  [Lets users leave an optional text review alongside their star rating.]
+
+  ## Query Description: [Adds a nullable review column to public.ratings with a length limit. Existing ratings keep a NULL review.]
+
+  ## Metadata:
+  - Schema-Category: "Structural"
+  - Impact-Level: "Low"
+  - Requires-Backup: false
+  - Reversible: true (by dropping the column)
+
+  ## Structure Details:
+  - Table: public.ratings
+  - Columns added: review
+  - Constraints: ratings_review_length_check (1-1000 characters, blank reviews are rejected)
+
+  ## Security Implications:
+  - RLS Status: Unchanged.
+  - Policy Changes: No. The existing rating policies already restrict writes to the author.
+  - Auth Requirements: None.
+
+  ## Performance Impact:
+  - Indexes: None.
+  - Triggers: None.
+  - Estimated Impact: Low.
+*/
+ALTER TABLE public.ratings ADD COLUMN IF NOT EXISTS review TEXT;
+
+ALTER TABLE public.ratings DROP CONSTRAINT IF EXISTS ratings_review_length_check;
+ALTER TABLE public.ratings ADD CONSTRAINT ratings_review_length_check
+  CHECK (review IS NULL OR char_length(btrim(review)) BETWEEN 1 AND 1000);
+
+COMMENT ON COLUMN public.ratings.review IS 'Optional written review left with the rating.';
@@ -0,0 +1,65 @@
+/*
+  # Create rating_replies table
+  [Lets store owners post one public reply to each rating of their store.]
+
+  ## Query Description: [Creates public.rating_replies with a unique rating_id so each rating has at most one reply. Replies are removed with their rating.]
+
+  ## Metadata:
+  - Schema-Category: "Structural"
+  - Impact-Level: "Low"
+  - Requires-Backup: false
+  - Reversible: true (by dropping the table and function)
+
+  ## Structure Details:
+  - Table: public.rating_replies
+  - Columns: id, rating_id (FK to ratings, unique), owner_id (FK to profiles), reply, created_at, updated_at
+  - Functions: public.is_rating_store_owner(rating_id)
+
+  ## Security Implications:
+  - RLS Status: Enabled.
+  - Policy Changes: Yes.
+  - Auth Requirements: Replies are publicly readable. Only the owner of the rated store (per stores.owner_id) can write them.
+
+  ## Performance Impact:
+  - Indexes: Primary key on id, unique on rating_id.
+  - Triggers: None.
+  - Estimated Impact: Low.
+*/
+CREATE TABLE IF NOT EXISTS public.rating_replies (
+  id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+  rating_id BIGINT NOT NULL UNIQUE REFERENCES public.ratings(id) ON DELETE CASCADE,
+  owner_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  reply TEXT NOT NULL CHECK (char_length(btrim(reply)) BETWEEN 1 AND 1000),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ
+);
+COMMENT ON TABLE public.rating_replies IS 'Public replies from store owners to ratings of their stores.';
+
+/*
+  # Create is_rating_store_owner function
+  [Checks whether the current user owns the store a rating belongs to.]
+
+  ## Query Description: [SECURITY DEFINER so the policy check does not depend on the caller's view of stores and ratings.]
+*/
+CREATE OR REPLACE FUNCTION public.is_rating_store_owner(p_rating_id BIGINT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM public.ratings r
+    JOIN public.stores s ON s.id = r.store_id
+    WHERE r.id = p_rating_id AND s.owner_id = auth.uid()
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+COMMENT ON FUNCTION public.is_rating_store_owner(BIGINT) IS 'True when auth.uid() owns the store of the given rating.';
+
+ALTER TABLE public.rating_replies ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Replies are viewable by everyone." ON public.rating_replies;
+DROP POLICY IF EXISTS "Store owners can reply to their store's ratings." ON public.rating_replies;
+DROP POLICY IF EXISTS "Store owners can update their replies." ON public.rating_replies;
+DROP POLICY IF EXISTS "Store owners can delete their replies." ON public.rating_replies;
+
+CREATE POLICY "Replies are viewable by everyone." ON public.rating_replies FOR SELECT USING (true);
+CREATE POLICY "Store owners can reply to their store's ratings." ON public.rating_replies FOR INSERT WITH CHECK (auth.uid() = owner_id AND public.is_rating_store_owner(rating_id));
+CREATE POLICY "Store owners can update their replies." ON public.rating_replies FOR UPDATE USING (public.is_rating_store_owner(rating_id)) WITH CHECK (auth.uid() = owner_id AND public.is_rating_store_owner(rating_id));
+CREATE POLICY "Store owners can delete their replies." ON public.rating_replies FOR DELETE USING (public.is_rating_store_owner(rating_id));
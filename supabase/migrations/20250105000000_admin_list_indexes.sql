@@ -0,0 +1,36 @@
+/*
+  # Index admin list searches and sorts
+  [Supports the paginated, server-side filtered user and store lists in the admin dashboard.]
+
+  ## Query Description: [Enables pg_trgm and adds trigram indexes for the ILIKE '%term%' searches, plus btree indexes for the default sort columns. No data is changed.]
+
+  ## Metadata:
+  - Schema-Category: "Structural"
+  - Impact-Level: "Low"
+  - Requires-Backup: false
+  - Reversible: true (by dropping the indexes)
+
+  ## Structure Details:
+  - Extension: pg_trgm (in the extensions schema)
+  - Indexes: profiles (name, address trigram; role, name), stores (name, email, address trigram; name)
+
+  ## Security Implications:
+  - RLS Status: Unchanged.
+  - Policy Changes: No.
+  - Auth Requirements: None.
+
+  ## Performance Impact:
+  - Indexes: Added.
+  - Triggers: None.
+  - Estimated Impact: Slightly slower writes to profiles and stores, much faster admin searches on large tables.
+*/
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA extensions;
+
+CREATE INDEX IF NOT EXISTS profiles_name_trgm_idx ON public.profiles USING gin (name extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS profiles_address_trgm_idx ON public.profiles USING gin (address extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS profiles_role_name_idx ON public.profiles (role, name);
+
+CREATE INDEX IF NOT EXISTS stores_name_trgm_idx ON public.stores USING gin (name extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS stores_email_trgm_idx ON public.stores USING gin (email extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS stores_address_trgm_idx ON public.stores USING gin (address extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS stores_name_idx ON public.stores (name);
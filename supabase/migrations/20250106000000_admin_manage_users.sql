@@ -0,0 +1,52 @@
+/*
+  # Let admins edit and delete users
+  [Adds the policy and function the admin dashboard needs to correct profiles and remove accounts.]
+
+  ## Query Description: [Admins may update any profile. Deleting a user removes the auth.users row, which cascades to the profile and their ratings; stores they owned keep existing with owner_id set to NULL.]
+
+  ## Metadata:
+  - Schema-Category: "Dangerous"
+  - Impact-Level: "Medium"
+  - Requires-Backup: false
+  - Reversible: true (by dropping the policy and function)
+
+  ## Structure Details:
+  - Policies: "Admins can update any profile." on public.profiles
+  - Functions: public.delete_user(p_user_id)
+
+  ## Security Implications:
+  - RLS Status: Unchanged.
+  - Policy Changes: Yes.
+  - Auth Requirements: Only admins can update other profiles or delete users. Admins cannot delete their own account.
+
+  ## Performance Impact:
+  - Indexes: None.
+  - Triggers: None.
+  - Estimated Impact: Low.
+*/
+DROP POLICY IF EXISTS "Admins can update any profile." ON public.profiles;
+CREATE POLICY "Admins can update any profile." ON public.profiles FOR UPDATE USING ((SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin');
+
+/*
+  # Create delete_user function
+  [Deletes a user account on behalf of an admin.]
+
+  ## Query Description: [SECURITY DEFINER because auth.users is not writable by the authenticated role. The caller's role is checked first.]
+*/
+CREATE OR REPLACE FUNCTION public.delete_user(p_user_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  IF (SELECT role FROM public.profiles WHERE id = auth.uid()) IS DISTINCT FROM 'admin' THEN
+    RAISE EXCEPTION 'Only admins can delete users' USING ERRCODE = '42501';
+  END IF;
+  IF p_user_id = auth.uid() THEN
+    RAISE EXCEPTION 'You cannot delete your own account' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM auth.users WHERE id = p_user_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+COMMENT ON FUNCTION public.delete_user(UUID) IS 'Admin-only: deletes an auth user and, by cascade, their profile and ratings.';
+
+REVOKE EXECUTE ON FUNCTION public.delete_user(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.delete_user(UUID) TO authenticated;
@@ -0,0 +1,110 @@
+/*
+  # Lock down role escalation
+  [Stops users from choosing or changing their own role.]
+
+  ## Query Description: [handle_new_user now ignores the 'role' in signup metadata and always creates 'user' profiles. The role column can no longer be updated through the API; admins change roles with set_user_role, and the admin-create-user Edge Function sets it with the service role.]
+
+  ## Metadata:
+  - Schema-Category: "Security"
+  - Impact-Level: "Medium"
+  - Requires-Backup: false
+  - Reversible: true (by restoring the previous function and grants)
+
+  ## Structure Details:
+  - Functions replaced: public.handle_new_user()
+  - Functions created: public.set_user_role(p_user_id, p_role), public.admin_update_user(p_user_id, p_name, p_address, p_role)
+  - Grants: UPDATE on public.profiles limited to (name, address) for anon and authenticated
+
+  ## Security Implications:
+  - RLS Status: Unchanged.
+  - Policy Changes: No. Column privileges are checked in addition to the existing update policies.
+  - Auth Requirements: Only admins can change roles, and not their own.
+
+  ## Performance Impact:
+  - Indexes: None.
+  - Triggers: None.
+  - Estimated Impact: Low.
+*/
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Self-registration always creates a plain user. The role in raw_user_meta_data
+  -- is client-controlled and must never be trusted.
+  INSERT INTO public.profiles (id, name, address, role)
+  VALUES (
+    new.id,
+    new.raw_user_meta_data->>'name',
+    new.raw_user_meta_data->>'address',
+    'user'
+  );
+  RETURN new;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+COMMENT ON FUNCTION public.handle_new_user() IS 'Creates a new user profile upon registration. The role is always user.';
+
+-- Only name and address are writable through the API; role changes go through set_user_role.
+REVOKE UPDATE ON public.profiles FROM anon, authenticated;
+GRANT UPDATE (name, address) ON public.profiles TO authenticated;
+
+/*
+  # Create set_user_role function
+  [Changes a user's role on behalf of an admin.]
+
+  ## Query Description: [SECURITY DEFINER because the role column is not writable by the authenticated role. The caller's role is checked first, and admins cannot change their own role so the last admin cannot lock themselves out.]
+*/
+CREATE OR REPLACE FUNCTION public.set_user_role(p_user_id UUID, p_role public.user_role)
+RETURNS public.profiles AS $$
+DECLARE
+  updated public.profiles;
+BEGIN
+  IF (SELECT role FROM public.profiles WHERE id = auth.uid()) IS DISTINCT FROM 'admin' THEN
+    RAISE EXCEPTION 'Only admins can change roles' USING ERRCODE = '42501';
+  END IF;
+  IF p_user_id = auth.uid() THEN
+    RAISE EXCEPTION 'You cannot change your own role' USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE public.profiles SET role = p_role WHERE id = p_user_id RETURNING * INTO updated;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found' USING ERRCODE = 'P0002';
+  END IF;
+  RETURN updated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+COMMENT ON FUNCTION public.set_user_role(UUID, public.user_role) IS 'Admin-only: changes the role of another user.';
+
+REVOKE EXECUTE ON FUNCTION public.set_user_role(UUID, public.user_role) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.set_user_role(UUID, public.user_role) TO authenticated;
+
+/*
+  # Create admin_update_user function
+  [Saves an admin's edits to another user's name, address and role in one statement.]
+
+  ## Query Description: [Either every field is saved or none is, so a refused role change cannot leave a half-edited profile behind. The same role rules as set_user_role apply; an admin may still edit their own name and address.]
+*/
+CREATE OR REPLACE FUNCTION public.admin_update_user(p_user_id UUID, p_name TEXT, p_address TEXT, p_role public.user_role)
+RETURNS public.profiles AS $$
+DECLARE
+  updated public.profiles;
+BEGIN
+  IF (SELECT role FROM public.profiles WHERE id = auth.uid()) IS DISTINCT FROM 'admin' THEN
+    RAISE EXCEPTION 'Only admins can edit other users' USING ERRCODE = '42501';
+  END IF;
+  IF p_user_id = auth.uid() AND p_role IS DISTINCT FROM (SELECT role FROM public.profiles WHERE id = auth.uid()) THEN
+    RAISE EXCEPTION 'You cannot change your own role' USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE public.profiles
+  SET name = p_name, address = p_address, role = p_role
+  WHERE id = p_user_id
+  RETURNING * INTO updated;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found' USING ERRCODE = 'P0002';
+  END IF;
+  RETURN updated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+COMMENT ON FUNCTION public.admin_update_user(UUID, TEXT, TEXT, public.user_role) IS 'Admin-only: updates a user''s name, address and role atomically.';
+
+REVOKE EXECUTE ON FUNCTION public.admin_update_user(UUID, TEXT, TEXT, public.user_role) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.admin_update_user(UUID, TEXT, TEXT, public.user_role) TO authenticated;
@@ -0,0 +1,106 @@
+/*
+  # Store email in profiles
+  [Copies each user's email from auth.users into public.profiles and keeps it in step.]
+
+  ## Query Description: [Adds profiles.email, backfills it from auth.users, sets it in handle_new_user and syncs it whenever the auth email changes. The column is neither readable nor writable on profiles through the API; the profiles_with_email view exposes it to the people allowed to see it.]
+
+  ## Metadata:
+  - Schema-Category: "Data"
+  - Impact-Level: "Low"
+  - Requires-Backup: false
+  - Reversible: true (by dropping the column, trigger and function)
+
+  ## Structure Details:
+  - Table: public.profiles
+  - Columns added: email
+  - Functions replaced: public.handle_new_user()
+  - Functions created: public.sync_profile_email()
+  - Triggers created: on_auth_user_email_updated
+  - Indexes: profiles_email_trgm_idx
+  - Views created: public.profiles_with_email
+  - Grants: SELECT on public.profiles limited to (id, name, address, role) for anon and authenticated
+
+  ## Security Implications:
+  - RLS Status: Unchanged.
+  - Policy Changes: No. Column privileges keep profiles.email out of every direct query, including "Profiles are viewable by everyone.".
+  - Auth Requirements: A user's email is readable through profiles_with_email only by that user, admins, and the owners of stores the user has rated. It is only ever written by the triggers.
+
+  ## Performance Impact:
+  - Indexes: Added trigram index for admin search.
+  - Triggers: One AFTER UPDATE OF email trigger on auth.users.
+  - Estimated Impact: Low.
+*/
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+
+-- Backfill existing profiles
+UPDATE public.profiles p
+SET email = u.email
+FROM auth.users u
+WHERE u.id = p.id AND p.email IS DISTINCT FROM u.email;
+
+CREATE INDEX IF NOT EXISTS profiles_email_trgm_idx ON public.profiles USING gin (email extensions.gin_trgm_ops);
+
+-- Profiles stay public, their emails do not. A column missing from this list cannot be read
+-- through the API, and select=* on profiles is refused, so new columns must be added here.
+REVOKE SELECT ON public.profiles FROM anon, authenticated;
+GRANT SELECT (id, name, address, role) ON public.profiles TO anon, authenticated;
+
+/*
+  # Create profiles_with_email view
+  [Profiles together with their email, limited to the rows the caller may see that email for.]
+
+  ## Query Description: [Runs with the view owner's privileges (not security_invoker), which is what lets it read profiles.email. The WHERE clause is therefore the only access check: the caller's own profile, every profile for admins, and for store owners the profiles of users who rated one of their stores. PostgREST infers its relationships from profiles, so it can be embedded in place of profiles.]
+*/
+CREATE OR REPLACE VIEW public.profiles_with_email AS
+SELECT p.id, p.name, p.email, p.address, p.role
+FROM public.profiles p
+WHERE p.id = auth.uid()
+  OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+  OR EXISTS (
+    SELECT 1
+    FROM public.ratings r
+    JOIN public.stores s ON s.id = r.store_id
+    WHERE r.user_id = p.id AND s.owner_id = auth.uid()
+  );
+COMMENT ON VIEW public.profiles_with_email IS 'Profiles with email, visible to the user themselves, admins and owners of stores they rated.';
+
+REVOKE ALL ON public.profiles_with_email FROM anon, authenticated;
+GRANT SELECT ON public.profiles_with_email TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Self-registration always creates a plain user. The role in raw_user_meta_data
+  -- is client-controlled and must never be trusted.
+  INSERT INTO public.profiles (id, name, email, address, role)
+  VALUES (
+    new.id,
+    new.raw_user_meta_data->>'name',
+    new.email,
+    new.raw_user_meta_data->>'address',
+    'user'
+  );
+  RETURN new;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+COMMENT ON FUNCTION public.handle_new_user() IS 'Creates a new user profile upon registration. The role is always user.';
+
+/*
+  # Create sync_profile_email function
+  [Keeps profiles.email equal to auth.users.email after an email change is confirmed.]
+*/
+CREATE OR REPLACE FUNCTION public.sync_profile_email()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE public.profiles SET email = new.email WHERE id = new.id;
+  RETURN new;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+COMMENT ON FUNCTION public.sync_profile_email() IS 'Copies auth.users.email into public.profiles.email.';
+
+DROP TRIGGER IF EXISTS on_auth_user_email_updated ON auth.users;
+CREATE TRIGGER on_auth_user_email_updated
+AFTER UPDATE OF email ON auth.users
+FOR EACH ROW
+WHEN (old.email IS DISTINCT FROM new.email)
+EXECUTE PROCEDURE public.sync_profile_email();
@@ -0,0 +1,28 @@
+/*
+  # Drop objects left over from the removed 0000_initial_schema migration
+  [Databases created before the migration history was reconciled ran both initial migrations. The second one dropped and recreated the tables, but left the first one's store-owner function behind.]
+
+  ## Query Description: [Drops public.assign_store_owner() and its trigger if they still exist. Store ownership is assigned explicitly by admins through stores.owner_id. Safe to run on fresh databases, where nothing matches.]
+
+  ## Metadata:
+  - Schema-Category: "Structural"
+  - Impact-Level: "Low"
+  - Requires-Backup: false
+  - Reversible: false (the legacy function is not recreated)
+
+  ## Structure Details:
+  - Functions dropped: public.assign_store_owner()
+  - Triggers dropped: on_profile_created
+
+  ## Security Implications:
+  - RLS Status: Unchanged.
+  - Policy Changes: No.
+  - Auth Requirements: None.
+
+  ## Performance Impact:
+  - Indexes: None.
+  - Triggers: Removes one orphaned trigger if present.
+  - Estimated Impact: Low.
+*/
+DROP TRIGGER IF EXISTS on_profile_created ON public.profiles;
+DROP FUNCTION IF EXISTS public.assign_store_owner();
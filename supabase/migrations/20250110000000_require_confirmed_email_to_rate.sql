@@ -0,0 +1,41 @@
+/*
+  # Require a confirmed email to rate stores
+  [Cuts down on rating spam from throwaway accounts.]
+
+  ## Query Description: [Replaces the ratings insert policy so that only users whose auth.users.email_confirmed_at is set can create ratings. Existing ratings are not touched.]
+
+  ## Metadata:
+  - Schema-Category: "Security"
+  - Impact-Level: "Low"
+  - Requires-Backup: false
+  - Reversible: true (by restoring the previous policy)
+
+  ## Structure Details:
+  - Functions created: public.is_email_confirmed()
+  - Policies replaced: "Users can insert their own ratings." on public.ratings
+
+  ## Security Implications:
+  - RLS Status: Unchanged.
+  - Policy Changes: Yes.
+  - Auth Requirements: Inserting a rating now also requires a confirmed email.
+
+  ## Performance Impact:
+  - Indexes: None.
+  - Triggers: None.
+  - Estimated Impact: Low. One primary key lookup on auth.users per insert.
+*/
+
+/*
+  # Create is_email_confirmed function
+  [Checks whether the current user has confirmed their email.]
+
+  ## Query Description: [SECURITY DEFINER because auth.users is not readable by the authenticated role.]
+*/
+CREATE OR REPLACE FUNCTION public.is_email_confirmed()
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE((SELECT email_confirmed_at IS NOT NULL FROM auth.users WHERE id = auth.uid()), false);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+COMMENT ON FUNCTION public.is_email_confirmed() IS 'True when auth.uid() has a confirmed email address.';
+
+DROP POLICY IF EXISTS "Users can insert their own ratings." ON public.ratings;
+CREATE POLICY "Users can insert their own ratings." ON public.ratings FOR INSERT WITH CHECK (auth.uid() = user_id AND public.is_email_confirmed());
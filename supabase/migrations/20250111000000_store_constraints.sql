@@ -0,0 +1,33 @@
+/*
+  # Add store CHECK constraints matching the form validation
+  [Brings the stores table in line with the rules in src/utils/validation.js so that both layers reject the same input.]
+
+  ## Query Description: [Adds named constraints for a non-blank store name and a well-formed store email. They are added NOT VALID, so existing rows are not checked; new and updated rows are.]
+
+  ## Metadata:
+  - Schema-Category: "Structural"
+  - Impact-Level: "Low"
+  - Requires-Backup: false
+  - Reversible: true (by dropping the constraints)
+
+  ## Structure Details:
+  - Table: public.stores
+  - Constraints: stores_name_check, stores_email_format_check
+
+  ## Security Implications:
+  - RLS Status: Unchanged.
+  - Policy Changes: No.
+  - Auth Requirements: None.
+
+  ## Performance Impact:
+  - Indexes: None.
+  - Triggers: None.
+  - Estimated Impact: Low.
+*/
+ALTER TABLE public.stores DROP CONSTRAINT IF EXISTS stores_name_check;
+ALTER TABLE public.stores ADD CONSTRAINT stores_name_check
+  CHECK (char_length(btrim(name)) >= 1) NOT VALID;
+
+ALTER TABLE public.stores DROP CONSTRAINT IF EXISTS stores_email_format_check;
+ALTER TABLE public.stores ADD CONSTRAINT stores_email_format_check
+  CHECK (email ~ '^[^[:space:]@]+@[^[:space:]@]+\.[^[:space:]@]+$') NOT VALID;
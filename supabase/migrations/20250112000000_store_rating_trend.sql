@@ -0,0 +1,92 @@
+/*
+  # Add store rating trend function
+  [Backs the store owner analytics chart: average rating and rating volume per week or month, next to the platform-wide figures for the same periods.]
+
+  ## Query Description: [A rating counts in the period it was last given, i.e. COALESCE(updated_at, created_at), so a changed rating moves to the period of the change. Periods without ratings are returned with a zero count and a NULL average so the chart keeps an even time axis. Read-only; no data is changed.]
+
+  ## Metadata:
+  - Schema-Category: "Structural"
+  - Impact-Level: "Low"
+  - Requires-Backup: false
+  - Reversible: true (by dropping the function and index)
+
+  ## Structure Details:
+  - Functions created: public.get_store_rating_trend(bigint, text, timestamptz, timestamptz)
+  - Indexes: ratings_rated_at_idx on public.ratings (COALESCE(updated_at, created_at))
+
+  ## Security Implications:
+  - RLS Status: Unchanged.
+  - Policy Changes: No.
+  - Auth Requirements: None. SECURITY INVOKER, and ratings are already readable by everyone.
+
+  ## Performance Impact:
+  - Indexes: Added, for the date range filter.
+  - Triggers: None.
+  - Estimated Impact: Low. One scan of the ratings in the requested range.
+*/
+CREATE INDEX IF NOT EXISTS ratings_rated_at_idx ON public.ratings ((COALESCE(updated_at, created_at)));
+
+/*
+  # Create get_store_rating_trend function
+  [p_interval is 'week' (ISO weeks, starting Monday) or 'month'. p_from defaults to the store's first rating and p_to (exclusive) to now.]
+*/
+CREATE OR REPLACE FUNCTION public.get_store_rating_trend(
+  p_store_id BIGINT,
+  p_interval TEXT DEFAULT 'week',
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  period_start TIMESTAMPTZ,
+  average_rating NUMERIC,
+  total_ratings INT,
+  platform_average NUMERIC,
+  platform_ratings INT
+) AS $$
+DECLARE
+  v_to TIMESTAMPTZ := COALESCE(p_to, NOW());
+  v_from TIMESTAMPTZ;
+BEGIN
+  IF p_interval NOT IN ('week', 'month') THEN
+    RAISE EXCEPTION 'Interval must be week or month' USING ERRCODE = '22023';
+  END IF;
+
+  v_from := COALESCE(
+    p_from,
+    (SELECT MIN(COALESCE(r.updated_at, r.created_at)) FROM public.ratings r WHERE r.store_id = p_store_id),
+    v_to
+  );
+  IF v_from >= v_to THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  WITH periods AS (
+    SELECT generate_series(
+      date_trunc(p_interval, v_from),
+      date_trunc(p_interval, v_to - INTERVAL '1 microsecond'),
+      ('1 ' || p_interval)::INTERVAL
+    ) AS bucket
+  ),
+  rated AS (
+    SELECT
+      r.store_id,
+      r.rating,
+      date_trunc(p_interval, COALESCE(r.updated_at, r.created_at)) AS bucket
+    FROM public.ratings r
+    WHERE COALESCE(r.updated_at, r.created_at) >= v_from
+      AND COALESCE(r.updated_at, r.created_at) < v_to
+  )
+  SELECT
+    p.bucket,
+    ROUND(AVG(rt.rating) FILTER (WHERE rt.store_id = p_store_id), 2),
+    (COUNT(*) FILTER (WHERE rt.store_id = p_store_id))::INT,
+    ROUND(AVG(rt.rating), 2),
+    COUNT(rt.rating)::INT
+  FROM periods p
+  LEFT JOIN rated rt ON rt.bucket = p.bucket
+  GROUP BY p.bucket
+  ORDER BY p.bucket;
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = public;
+COMMENT ON FUNCTION public.get_store_rating_trend(BIGINT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ) IS 'Per-period average rating and rating count for a store, with the platform-wide figures for the same periods.';
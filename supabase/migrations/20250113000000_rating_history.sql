@@ -0,0 +1,105 @@
+/*
+  # Maintain updated_at and keep an edit history for ratings
+  [submitRating upserts over the previous row, so a changed rating used to leave no trace and updated_at was never set.]
+
+  ## Query Description: [Adds a trigger that sets updated_at whenever a rating or reply actually changes, and an append-only rating_history table with one row per version of a rating (the first version included). Existing ratings get their current version backfilled as the first history row.]
+
+  ## Metadata:
+  - Schema-Category: "Structural"
+  - Impact-Level: "Low"
+  - Requires-Backup: false
+  - Reversible: true (by dropping the triggers, functions and rating_history)
+
+  ## Structure Details:
+  - Functions created: public.set_updated_at(), public.record_rating_history()
+  - Triggers: ratings_set_updated_at, rating_replies_set_updated_at, ratings_record_history
+  - Table: public.rating_history
+  - Columns: id, rating_id (FK to ratings), rating, review, changed_at
+
+  ## Security Implications:
+  - RLS Status: Enabled on rating_history.
+  - Policy Changes: Yes.
+  - Auth Requirements: History is readable by the rating's author, the store's owner and admins. Nobody can write to it directly; only the trigger adds rows.
+
+  ## Performance Impact:
+  - Indexes: rating_history (rating_id, changed_at).
+  - Triggers: Added.
+  - Estimated Impact: Low. One extra insert per rating change.
+*/
+
+/*
+  # Create set_updated_at function
+  [Generic BEFORE UPDATE trigger. A write that leaves the row unchanged, such as re-submitting the same rating, keeps the old timestamp.]
+*/
+CREATE OR REPLACE FUNCTION public.set_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW IS DISTINCT FROM OLD THEN
+    NEW.updated_at := NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+COMMENT ON FUNCTION public.set_updated_at() IS 'Sets updated_at to now() when an UPDATE changes the row.';
+
+DROP TRIGGER IF EXISTS ratings_set_updated_at ON public.ratings;
+CREATE TRIGGER ratings_set_updated_at
+  BEFORE UPDATE ON public.ratings
+  FOR EACH ROW EXECUTE PROCEDURE public.set_updated_at();
+
+DROP TRIGGER IF EXISTS rating_replies_set_updated_at ON public.rating_replies;
+CREATE TRIGGER rating_replies_set_updated_at
+  BEFORE UPDATE ON public.rating_replies
+  FOR EACH ROW EXECUTE PROCEDURE public.set_updated_at();
+
+/*
+  # Create rating_history table
+  [Every version of a rating, oldest first. The newest row matches the current rating.]
+*/
+CREATE TABLE IF NOT EXISTS public.rating_history (
+  id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+  rating_id BIGINT NOT NULL REFERENCES public.ratings(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL,
+  review TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+COMMENT ON TABLE public.rating_history IS 'Append-only log of every version of each rating, written by trigger.';
+
+CREATE INDEX IF NOT EXISTS rating_history_rating_id_idx ON public.rating_history (rating_id, changed_at);
+
+INSERT INTO public.rating_history (rating_id, rating, review, changed_at)
+SELECT r.id, r.rating, r.review, COALESCE(r.updated_at, r.created_at)
+FROM public.ratings r
+WHERE NOT EXISTS (SELECT 1 FROM public.rating_history h WHERE h.rating_id = r.id);
+
+/*
+  # Create record_rating_history function
+  [SECURITY DEFINER because the authenticated role has no write access to rating_history.]
+*/
+CREATE OR REPLACE FUNCTION public.record_rating_history()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR (NEW.rating, NEW.review) IS DISTINCT FROM (OLD.rating, OLD.review) THEN
+    INSERT INTO public.rating_history (rating_id, rating, review, changed_at)
+    VALUES (NEW.id, NEW.rating, NEW.review, COALESCE(NEW.updated_at, NEW.created_at));
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+COMMENT ON FUNCTION public.record_rating_history() IS 'Appends the new version of a rating to rating_history.';
+
+DROP TRIGGER IF EXISTS ratings_record_history ON public.ratings;
+CREATE TRIGGER ratings_record_history
+  AFTER INSERT OR UPDATE ON public.ratings
+  FOR EACH ROW EXECUTE PROCEDURE public.record_rating_history();
+
+ALTER TABLE public.rating_history ENABLE ROW LEVEL SECURITY;
+
+REVOKE INSERT, UPDATE, DELETE ON public.rating_history FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Rating history is viewable by the author, store owner and admins." ON public.rating_history;
+CREATE POLICY "Rating history is viewable by the author, store owner and admins." ON public.rating_history FOR SELECT USING (
+  EXISTS (SELECT 1 FROM public.ratings r WHERE r.id = rating_id AND r.user_id = auth.uid())
+  OR public.is_rating_store_owner(rating_id)
+  OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+);
@@ -0,0 +1,41 @@
+/*
+  # Publish ratings and stores changes to Realtime
+  [Lets the dashboards update live when a rating is given or a store changes, instead of waiting for a reload.]
+
+  ## Query Description: [Adds public.ratings and public.stores to the supabase_realtime publication. Realtime still applies RLS, so clients only receive rows they could select. Delete events carry only the primary key because both tables use RLS.]
+
+  ## Metadata:
+  - Schema-Category: "Structural"
+  - Impact-Level: "Low"
+  - Requires-Backup: false
+  - Reversible: true (ALTER PUBLICATION supabase_realtime DROP TABLE ...)
+
+  ## Structure Details:
+  - Publication: supabase_realtime (tables public.ratings, public.stores)
+
+  ## Security Implications:
+  - RLS Status: Unchanged.
+  - Policy Changes: No.
+  - Auth Requirements: None. Both tables are already readable by everyone.
+
+  ## Performance Impact:
+  - Indexes: None.
+  - Triggers: None.
+  - Estimated Impact: Low. Changes to these tables are decoded for Realtime.
+*/
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'ratings'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.ratings;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'stores'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.stores;
+  END IF;
+END $$;
@@ -0,0 +1,306 @@
+/*
+  # Rating moderation: flags, hidden ratings and an action log
+  [Gives admins a way to act on abusive ratings. Store owners flag a rating with a reason, and admins hide, remove or dismiss it from a moderation queue. Every admin action is logged.]
+
+  ## Query Description: [Adds ratings.hidden_at, the rating_flags and moderation_actions tables and the admin-only moderate_rating RPC. Hidden ratings are visible only to their author and admins, and are left out of store averages and trends. Existing ratings stay visible. Users can no longer write ratings.hidden_at themselves: INSERT and UPDATE on ratings are limited to the columns the app writes.]
+
+  ## Metadata:
+  - Schema-Category: "Structural"
+  - Impact-Level: "Medium"
+  - Requires-Backup: false
+  - Reversible: true (by dropping the new objects and restoring the previous policy, view and function)
+
+  ## Structure Details:
+  - Columns added: ratings.hidden_at
+  - Tables: public.rating_flags, public.moderation_actions
+  - Functions created: public.moderate_rating(bigint, text, text)
+  - Functions replaced: public.get_store_rating_trend(bigint, text, timestamptz, timestamptz)
+  - Views replaced: public.stores_with_ratings, public.profiles_with_email
+  - Triggers replaced: ratings_set_updated_at (now fires only when the rating or review changes)
+  - Policies replaced: "Ratings are viewable by everyone." and "Users can delete their own ratings." on public.ratings, "Replies are viewable by everyone." on public.rating_replies, "Rating history is viewable by the author, store owner and admins." on public.rating_history
+
+  ## Security Implications:
+  - RLS Status: Enabled on rating_flags and moderation_actions.
+  - Policy Changes: Yes.
+  - Auth Requirements: Store owners can flag ratings of their own stores. Only admins can read flags from others, moderate ratings and read the log. A hidden rating's replies and edit history are readable only by its author and admins, like the rating itself. Authors cannot delete a hidden rating; admins remove it through moderate_rating.
+
+  ## Performance Impact:
+  - Indexes: rating_flags open flags, moderation_actions (created_at).
+  - Triggers: Replaced.
+  - Estimated Impact: Low.
+*/
+
+ALTER TABLE public.ratings ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ;
+COMMENT ON COLUMN public.ratings.hidden_at IS 'Set when an admin hides the rating. Hidden ratings are excluded from averages and public lists.';
+
+-- Users write only these columns; hidden_at is changed through moderate_rating
+REVOKE INSERT, UPDATE ON public.ratings FROM anon, authenticated;
+GRANT INSERT (store_id, user_id, rating, review), UPDATE (store_id, user_id, rating, review) ON public.ratings TO authenticated;
+
+DROP POLICY IF EXISTS "Ratings are viewable by everyone." ON public.ratings;
+DROP POLICY IF EXISTS "Visible ratings are viewable by everyone." ON public.ratings;
+CREATE POLICY "Visible ratings are viewable by everyone." ON public.ratings FOR SELECT USING (hidden_at IS NULL OR auth.uid() = user_id OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin');
+
+-- Deleting a hidden rating and rating the store again would escape moderation
+DROP POLICY IF EXISTS "Users can delete their own ratings." ON public.ratings;
+CREATE POLICY "Users can delete their own ratings." ON public.ratings FOR DELETE USING (auth.uid() = user_id AND hidden_at IS NULL);
+
+-- A hidden rating's reply and edit history would otherwise still show what it said
+DROP POLICY IF EXISTS "Replies are viewable by everyone." ON public.rating_replies;
+DROP POLICY IF EXISTS "Replies to visible ratings are viewable by everyone." ON public.rating_replies;
+CREATE POLICY "Replies to visible ratings are viewable by everyone." ON public.rating_replies FOR SELECT USING (
+  EXISTS (SELECT 1 FROM public.ratings r WHERE r.id = rating_id AND (r.hidden_at IS NULL OR r.user_id = auth.uid()))
+  OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+);
+
+DROP POLICY IF EXISTS "Rating history is viewable by the author, store owner and admins." ON public.rating_history;
+CREATE POLICY "Rating history is viewable by the author, store owner and admins." ON public.rating_history FOR SELECT USING (
+  EXISTS (SELECT 1 FROM public.ratings r WHERE r.id = rating_id AND r.user_id = auth.uid())
+  OR (
+    public.is_rating_store_owner(rating_id)
+    AND EXISTS (SELECT 1 FROM public.ratings r WHERE r.id = rating_id AND r.hidden_at IS NULL)
+  )
+  OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+);
+
+-- Hiding a rating is not an edit, so it must not touch updated_at
+DROP TRIGGER IF EXISTS ratings_set_updated_at ON public.ratings;
+CREATE TRIGGER ratings_set_updated_at
+  BEFORE UPDATE OF rating, review ON public.ratings
+  FOR EACH ROW
+  WHEN (OLD.rating IS DISTINCT FROM NEW.rating OR OLD.review IS DISTINCT FROM NEW.review)
+  EXECUTE PROCEDURE public.set_updated_at();
+
+/*
+  # Create rating_flags table
+  [A store owner's request to review a rating. An owner can have one open flag per rating.]
+*/
+CREATE TABLE IF NOT EXISTS public.rating_flags (
+  id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+  rating_id BIGINT NOT NULL REFERENCES public.ratings(id) ON DELETE CASCADE,
+  flagged_by UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL CONSTRAINT rating_flags_reason_check CHECK (char_length(btrim(reason)) BETWEEN 1 AND 500),
+  status TEXT NOT NULL DEFAULT 'open' CONSTRAINT rating_flags_status_check CHECK (status IN ('open', 'actioned', 'dismissed')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ,
+  resolved_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL
+);
+COMMENT ON TABLE public.rating_flags IS 'Ratings flagged by store owners for admin review.';
+
+CREATE UNIQUE INDEX IF NOT EXISTS rating_flags_one_open_per_owner ON public.rating_flags (rating_id, flagged_by) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS rating_flags_open_idx ON public.rating_flags (created_at) WHERE status = 'open';
+
+ALTER TABLE public.rating_flags ENABLE ROW LEVEL SECURITY;
+
+REVOKE UPDATE, DELETE ON public.rating_flags FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Flags are viewable by the flagger and admins." ON public.rating_flags;
+DROP POLICY IF EXISTS "Store owners can flag their store's ratings." ON public.rating_flags;
+CREATE POLICY "Flags are viewable by the flagger and admins." ON public.rating_flags FOR SELECT USING (auth.uid() = flagged_by OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin');
+CREATE POLICY "Store owners can flag their store's ratings." ON public.rating_flags FOR INSERT WITH CHECK (
+  auth.uid() = flagged_by
+  AND public.is_rating_store_owner(rating_id)
+  AND status = 'open'
+  AND resolved_at IS NULL
+  AND resolved_by IS NULL
+);
+
+/*
+  # Create moderation_actions table
+  [Append-only log of admin actions. Keeps a copy of the rating, since a removed rating is deleted.]
+*/
+CREATE TABLE IF NOT EXISTS public.moderation_actions (
+  id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+  rating_id BIGINT REFERENCES public.ratings(id) ON DELETE SET NULL,
+  store_id BIGINT REFERENCES public.stores(id) ON DELETE SET NULL,
+  rating_user_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  rating SMALLINT NOT NULL,
+  review TEXT,
+  flag_reasons TEXT[] NOT NULL DEFAULT '{}',
+  action TEXT NOT NULL CONSTRAINT moderation_actions_action_check CHECK (action IN ('hide', 'unhide', 'remove', 'dismiss')),
+  reason TEXT CONSTRAINT moderation_actions_reason_check CHECK (char_length(reason) <= 500),
+  admin_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+COMMENT ON TABLE public.moderation_actions IS 'Log of admin moderation actions, with a snapshot of the rating at the time.';
+
+CREATE INDEX IF NOT EXISTS moderation_actions_created_at_idx ON public.moderation_actions (created_at DESC);
+
+ALTER TABLE public.moderation_actions ENABLE ROW LEVEL SECURITY;
+
+REVOKE INSERT, UPDATE, DELETE ON public.moderation_actions FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Moderation log is viewable by admins." ON public.moderation_actions;
+CREATE POLICY "Moderation log is viewable by admins." ON public.moderation_actions FOR SELECT USING ((SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin');
+
+/*
+  # Create moderate_rating function
+  [Admin-only. Logs the action, resolves the rating's open flags, then hides, unhides, removes or leaves the rating. 'dismiss' marks the flags as dismissed and keeps the rating as it is.]
+
+  ## Query Description: [SECURITY DEFINER because admins have no direct write access to ratings, rating_flags or moderation_actions.]
+*/
+CREATE OR REPLACE FUNCTION public.moderate_rating(p_rating_id BIGINT, p_action TEXT, p_reason TEXT DEFAULT NULL)
+RETURNS VOID AS $$
+DECLARE
+  v_rating public.ratings%ROWTYPE;
+BEGIN
+  IF (SELECT role FROM public.profiles WHERE id = auth.uid()) IS DISTINCT FROM 'admin' THEN
+    RAISE EXCEPTION 'Only admins can moderate ratings' USING ERRCODE = '42501';
+  END IF;
+  IF p_action NOT IN ('hide', 'unhide', 'remove', 'dismiss') THEN
+    RAISE EXCEPTION 'Unknown moderation action: %', p_action USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_rating FROM public.ratings WHERE id = p_rating_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This rating no longer exists' USING ERRCODE = 'P0002';
+  END IF;
+
+  INSERT INTO public.moderation_actions (rating_id, store_id, rating_user_id, rating, review, flag_reasons, action, reason, admin_id)
+  SELECT
+    v_rating.id, v_rating.store_id, v_rating.user_id, v_rating.rating, v_rating.review,
+    COALESCE(ARRAY(SELECT f.reason FROM public.rating_flags f WHERE f.rating_id = v_rating.id AND f.status = 'open' ORDER BY f.created_at), '{}'),
+    p_action, NULLIF(btrim(p_reason), ''), auth.uid();
+
+  IF p_action <> 'unhide' THEN
+    UPDATE public.rating_flags
+    SET status = CASE WHEN p_action = 'dismiss' THEN 'dismissed' ELSE 'actioned' END,
+        resolved_at = NOW(),
+        resolved_by = auth.uid()
+    WHERE rating_id = v_rating.id AND status = 'open';
+  END IF;
+
+  IF p_action = 'hide' THEN
+    UPDATE public.ratings SET hidden_at = NOW() WHERE id = v_rating.id;
+  ELSIF p_action = 'unhide' THEN
+    UPDATE public.ratings SET hidden_at = NULL WHERE id = v_rating.id;
+  ELSIF p_action = 'remove' THEN
+    DELETE FROM public.ratings WHERE id = v_rating.id;
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+COMMENT ON FUNCTION public.moderate_rating(BIGINT, TEXT, TEXT) IS 'Admin-only: hides, unhides, removes or dismisses the flags on a rating, and logs the action.';
+
+REVOKE EXECUTE ON FUNCTION public.moderate_rating(BIGINT, TEXT, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.moderate_rating(BIGINT, TEXT, TEXT) TO authenticated;
+
+/*
+  # Exclude hidden ratings from the aggregates
+  [Same view as before, with hidden ratings filtered out. Needed even with the new policy, because admins can read hidden ratings and the view runs as the caller.]
+*/
+DROP VIEW IF EXISTS public.stores_with_ratings;
+CREATE VIEW public.stores_with_ratings
+WITH (security_invoker = true) AS
+SELECT
+  s.id,
+  s.name,
+  s.email,
+  s.address,
+  s.owner_id,
+  s.created_at,
+  COALESCE(a.average_rating, 0) AS average_rating,
+  COALESCE(a.total_ratings, 0) AS total_ratings,
+  COALESCE(a.one_star, 0) AS one_star,
+  COALESCE(a.two_star, 0) AS two_star,
+  COALESCE(a.three_star, 0) AS three_star,
+  COALESCE(a.four_star, 0) AS four_star,
+  COALESCE(a.five_star, 0) AS five_star
+FROM public.stores s
+LEFT JOIN (
+  SELECT
+    store_id,
+    ROUND(AVG(rating), 1) AS average_rating,
+    COUNT(*)::INT AS total_ratings,
+    (COUNT(*) FILTER (WHERE rating = 1))::INT AS one_star,
+    (COUNT(*) FILTER (WHERE rating = 2))::INT AS two_star,
+    (COUNT(*) FILTER (WHERE rating = 3))::INT AS three_star,
+    (COUNT(*) FILTER (WHERE rating = 4))::INT AS four_star,
+    (COUNT(*) FILTER (WHERE rating = 5))::INT AS five_star
+  FROM public.ratings
+  WHERE hidden_at IS NULL
+  GROUP BY store_id
+) a ON a.store_id = s.id;
+COMMENT ON VIEW public.stores_with_ratings IS 'Stores joined with their average rating, rating count and per-star histogram. Hidden ratings are not counted.';
+
+GRANT SELECT ON public.stores_with_ratings TO anon, authenticated;
+
+/*
+  # Stop hidden ratings from revealing their author's email
+  [Same as in 20250108000000_profile_email, except that a store owner only sees the emails of users with a visible rating of one of their stores.]
+*/
+CREATE OR REPLACE VIEW public.profiles_with_email AS
+SELECT p.id, p.name, p.email, p.address, p.role
+FROM public.profiles p
+WHERE p.id = auth.uid()
+  OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+  OR EXISTS (
+    SELECT 1
+    FROM public.ratings r
+    JOIN public.stores s ON s.id = r.store_id
+    WHERE r.user_id = p.id AND s.owner_id = auth.uid() AND r.hidden_at IS NULL
+  );
+
+/*
+  # Exclude hidden ratings from the trend
+  [Same as 20250112000000_store_rating_trend, with hidden ratings filtered out.]
+*/
+CREATE OR REPLACE FUNCTION public.get_store_rating_trend(
+  p_store_id BIGINT,
+  p_interval TEXT DEFAULT 'week',
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  period_start TIMESTAMPTZ,
+  average_rating NUMERIC,
+  total_ratings INT,
+  platform_average NUMERIC,
+  platform_ratings INT
+) AS $$
+DECLARE
+  v_to TIMESTAMPTZ := COALESCE(p_to, NOW());
+  v_from TIMESTAMPTZ;
+BEGIN
+  IF p_interval NOT IN ('week', 'month') THEN
+    RAISE EXCEPTION 'Interval must be week or month' USING ERRCODE = '22023';
+  END IF;
+
+  v_from := COALESCE(
+    p_from,
+    (SELECT MIN(COALESCE(r.updated_at, r.created_at)) FROM public.ratings r WHERE r.store_id = p_store_id AND r.hidden_at IS NULL),
+    v_to
+  );
+  IF v_from >= v_to THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  WITH periods AS (
+    SELECT generate_series(
+      date_trunc(p_interval, v_from),
+      date_trunc(p_interval, v_to - INTERVAL '1 microsecond'),
+      ('1 ' || p_interval)::INTERVAL
+    ) AS bucket
+  ),
+  rated AS (
+    SELECT
+      r.store_id,
+      r.rating,
+      date_trunc(p_interval, COALESCE(r.updated_at, r.created_at)) AS bucket
+    FROM public.ratings r
+    WHERE COALESCE(r.updated_at, r.created_at) >= v_from
+      AND COALESCE(r.updated_at, r.created_at) < v_to
+      AND r.hidden_at IS NULL
+  )
+  SELECT
+    p.bucket,
+    ROUND(AVG(rt.rating) FILTER (WHERE rt.store_id = p_store_id), 2),
+    (COUNT(*) FILTER (WHERE rt.store_id = p_store_id))::INT,
+    ROUND(AVG(rt.rating), 2),
+    COUNT(rt.rating)::INT
+  FROM periods p
+  LEFT JOIN rated rt ON rt.bucket = p.bucket
+  GROUP BY p.bucket
+  ORDER BY p.bucket;
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = public;
@@ -0,0 +1,82 @@
+/*
+  # Verify the current password without signing in again
+  [Changing the password used to re-check the current one with signInWithPassword, which also started a new session.]
+
+  ## Query Description: [Adds verify_current_password, which compares a password with the caller's stored hash and leaves every session as it is. Failed checks are recorded, and after five in fifteen minutes further checks are refused so a stolen session cannot be used to guess the password.]
+
+  ## Metadata:
+  - Schema-Category: "Security"
+  - Impact-Level: "Low"
+  - Requires-Backup: false
+  - Reversible: true (by dropping the function and table)
+
+  ## Structure Details:
+  - Functions created: public.verify_current_password(p_password)
+  - Table: public.password_check_failures
+  - Columns: id, user_id (FK to auth.users), failed_at
+
+  ## Security Implications:
+  - RLS Status: Enabled on password_check_failures, with no policies.
+  - Policy Changes: No.
+  - Auth Requirements: Authenticated users can only check their own password. The hash never leaves the database.
+
+  ## Performance Impact:
+  - Indexes: password_check_failures (user_id, failed_at).
+  - Triggers: None.
+  - Estimated Impact: Low. One bcrypt comparison per password change.
+*/
+
+/*
+  # Create password_check_failures table
+  [Failed verify_current_password calls, used only for throttling. Nobody can read or write it through the API.]
+*/
+CREATE TABLE IF NOT EXISTS public.password_check_failures (
+  id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+COMMENT ON TABLE public.password_check_failures IS 'Failed current-password checks, for throttling verify_current_password.';
+
+CREATE INDEX IF NOT EXISTS password_check_failures_user_id_idx ON public.password_check_failures (user_id, failed_at);
+
+ALTER TABLE public.password_check_failures ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON public.password_check_failures FROM anon, authenticated;
+
+/*
+  # Create verify_current_password function
+  [SECURITY DEFINER to read auth.users.encrypted_password. Returns true or false; raises PT429, which PostgREST answers with HTTP 429, once the caller has failed five times in fifteen minutes.]
+*/
+CREATE OR REPLACE FUNCTION public.verify_current_password(p_password TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+  matches BOOLEAN;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not signed in' USING ERRCODE = '42501';
+  END IF;
+
+  IF (
+    SELECT count(*) FROM public.password_check_failures
+    WHERE user_id = auth.uid() AND failed_at > NOW() - INTERVAL '15 minutes'
+  ) >= 5 THEN
+    RAISE EXCEPTION 'Too many attempts' USING ERRCODE = 'PT429';
+  END IF;
+
+  SELECT encrypted_password = extensions.crypt(p_password, encrypted_password)
+  INTO matches
+  FROM auth.users
+  WHERE id = auth.uid();
+
+  IF matches THEN
+    DELETE FROM public.password_check_failures WHERE user_id = auth.uid();
+    RETURN true;
+  END IF;
+
+  INSERT INTO public.password_check_failures (user_id) VALUES (auth.uid());
+  RETURN false;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+COMMENT ON FUNCTION public.verify_current_password(TEXT) IS 'Checks the caller''s current password without creating a session.';
+
+REVOKE EXECUTE ON FUNCTION public.verify_current_password(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.verify_current_password(TEXT) TO authenticated;